@@ -0,0 +1,581 @@
+import { describe, test, expect } from "vitest";
+import { validate, BASIC } from "./index.js";
+
+
+describe("Basic output format", () => {
+  test("valid", () => {
+    const output = validate({ type: "string" }, "foo", BASIC);
+    expect(output).toEqual({
+      valid: true,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#"
+    });
+  });
+
+  test("$ref", () => {
+    const output = validate({
+      $ref: "#/$defs/string",
+      $defs: {
+        string: { type: "string" }
+      }
+    }, 42, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/$ref",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/$defs/string/type",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("additionalProperties", () => {
+    const output = validate({
+      properties: { foo: true },
+      additionalProperties: false
+    }, { foo: 1, bar: 2 }, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/additionalProperties",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/additionalProperties",
+          instanceLocation: "#/bar"
+        }
+      ]
+    });
+  });
+
+  test("allOf", () => {
+    const output = validate({
+      allOf: [
+        { type: "number" },
+        { maximum: 5 }
+      ]
+    }, 42, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/allOf",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/allOf/1/maximum",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("anyOf", () => {
+    const output = validate({
+      anyOf: [
+        { type: "string" },
+        { type: "boolean" }
+      ]
+    }, 42, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/anyOf",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/anyOf/0/type",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/anyOf/1/type",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("anyOf with a passing alternative", () => {
+    const output = validate({
+      anyOf: [
+        { type: "string" },
+        { type: "number" }
+      ]
+    }, 42, BASIC);
+    expect(output).toEqual({
+      valid: true,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#"
+    });
+  });
+
+  test("oneOf with no matches", () => {
+    const output = validate({
+      oneOf: [
+        { type: "string" },
+        { type: "boolean" }
+      ]
+    }, 42, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/oneOf",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/oneOf/0/type",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/oneOf/1/type",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("oneOf with multiple matches", () => {
+    const output = validate({
+      oneOf: [
+        { type: "number" },
+        { minimum: 5 }
+      ]
+    }, 42, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/oneOf",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("not", () => {
+    const output = validate({
+      not: { type: "number" }
+    }, 42, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/not",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("contains", () => {
+    const output = validate({
+      contains: { type: "string" }
+    }, [1, 2], BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/contains",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/contains/type",
+          instanceLocation: "#/0"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/contains/type",
+          instanceLocation: "#/1"
+        }
+      ]
+    });
+  });
+
+  test("contains with maxContains", () => {
+    const output = validate({
+      contains: { type: "string" },
+      maxContains: 1
+    }, ["a", "b"], BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/contains",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("dependentSchemas", () => {
+    const output = validate({
+      dependentSchemas: {
+        foo: { required: ["bar"] }
+      }
+    }, { foo: 1 }, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/dependentSchemas",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/dependentSchemas/foo/required",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("then", () => {
+    const output = validate({
+      if: { type: "number" },
+      then: { minimum: 50 }
+    }, 42, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/then",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/then/minimum",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("else", () => {
+    const output = validate({
+      if: { type: "string" },
+      else: { type: "boolean" }
+    }, 42, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/else",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/else/type",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("items", () => {
+    const output = validate({
+      items: { type: "string" }
+    }, ["a", 42], BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/items",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/items/type",
+          instanceLocation: "#/1"
+        }
+      ]
+    });
+  });
+
+  test("patternProperties", () => {
+    const output = validate({
+      patternProperties: {
+        "^f": { type: "string" }
+      }
+    }, { foo: 42 }, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/patternProperties",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/patternProperties/^f/type",
+          instanceLocation: "#/foo"
+        }
+      ]
+    });
+  });
+
+  test("prefixItems", () => {
+    const output = validate({
+      prefixItems: [{ type: "string" }, { type: "number" }]
+    }, [42, 42], BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/prefixItems",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/prefixItems/0/type",
+          instanceLocation: "#/0"
+        }
+      ]
+    });
+  });
+
+  test("properties", () => {
+    const output = validate({
+      properties: {
+        foo: { type: "string" }
+      }
+    }, { foo: 42 }, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/properties",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/properties/foo/type",
+          instanceLocation: "#/foo"
+        }
+      ]
+    });
+  });
+
+  test("propertyNames", () => {
+    const output = validate({
+      propertyNames: { maxLength: 2 }
+    }, { foo: 42 }, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/propertyNames",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/propertyNames/maxLength",
+          instanceLocation: "#/foo"
+        }
+      ]
+    });
+  });
+
+  test("nested applicators", () => {
+    const output = validate({
+      properties: {
+        foo: {
+          items: { $ref: "#/$defs/positive" }
+        }
+      },
+      $defs: {
+        positive: { minimum: 0 }
+      }
+    }, { foo: [1, -1] }, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/properties",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/properties/foo/items",
+          instanceLocation: "#/foo"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/properties/foo/items/$ref",
+          instanceLocation: "#/foo/1"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/$defs/positive/minimum",
+          instanceLocation: "#/foo/1"
+        }
+      ]
+    });
+  });
+
+  test("embedded schema resource", () => {
+    const output = validate({
+      $id: "https://example.com/main",
+      $ref: "string",
+      $defs: {
+        string: {
+          $id: "string",
+          type: "string"
+        }
+      }
+    }, 42, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "https://example.com/main#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "https://example.com/main#/$ref",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "https://example.com/string#/type",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("false schema", () => {
+    const output = validate({
+      items: false
+    }, [42], BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/items",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/items",
+          instanceLocation: "#/0"
+        }
+      ]
+    });
+  });
+
+  test.each([
+    ["const", { const: 42 }, "foo"],
+    ["dependentRequired", { dependentRequired: { foo: ["bar"] } }, { foo: 42 }],
+    ["enum", { enum: [1, 2] }, 42],
+    ["exclusiveMaximum", { exclusiveMaximum: 42 }, 42],
+    ["exclusiveMinimum", { exclusiveMinimum: 42 }, 42],
+    ["maxItems", { maxItems: 1 }, [1, 2]],
+    ["minItems", { minItems: 1 }, []],
+    ["maxLength", { maxLength: 1 }, "foo"],
+    ["minLength", { minLength: 4 }, "foo"],
+    ["maxProperties", { maxProperties: 0 }, { foo: 42 }],
+    ["minProperties", { minProperties: 1 }, {}],
+    ["maximum", { maximum: 5 }, 42],
+    ["minimum", { minimum: 50 }, 42],
+    ["multipleOf", { multipleOf: 5 }, 42],
+    ["pattern", { pattern: "^a" }, "foo"],
+    ["required", { required: ["foo"] }, {}],
+    ["type", { type: "string" }, 42],
+    ["uniqueItems", { uniqueItems: true }, [1, 1]]
+  ])("%s", (keyword, schema, instance) => {
+    const output = validate(schema, instance, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: `#/${keyword}`,
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("Flag output doesn't include errors", () => {
+    const output = validate({ type: "string" }, 42);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#"
+    });
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, test, expect } from "vitest";
+import { bundle, registerSchema, validate, BASIC } from "./index.js";
+
+/**
+ * @import { Json } from "./jsonast.d.ts"
+ */
+
+
+describe("Bundling", () => {
+  test("referenced resources are embedded with their $id", () => {
+    registerSchema({
+      type: "object",
+      properties: {
+        name: { $ref: "string" },
+        address: { $ref: "address#/$defs/street" }
+      }
+    }, "https://example.com/bundle/person");
+    registerSchema({ type: "string" }, "https://example.com/bundle/string");
+    registerSchema({
+      $defs: {
+        street: { $ref: "string" }
+      }
+    }, "https://example.com/bundle/address");
+
+    expect(bundle("https://example.com/bundle/person")).to.eql({
+      $id: "https://example.com/bundle/person",
+      type: "object",
+      properties: {
+        name: { $ref: "string" },
+        address: { $ref: "address#/$defs/street" }
+      },
+      $defs: {
+        "https://example.com/bundle/string": {
+          $id: "https://example.com/bundle/string",
+          type: "string"
+        },
+        "https://example.com/bundle/address": {
+          $id: "https://example.com/bundle/address",
+          $defs: {
+            street: { $ref: "string" }
+          }
+        }
+      }
+    });
+  });
+
+  test("the bundle validates the same as the registered schema", () => {
+    registerSchema({
+      $id: "https://example.com/bundle/tree",
+      $dynamicAnchor: "node",
+      type: "object",
+      properties: {
+        data: true,
+        children: { type: "array", items: { $dynamicRef: "#node" } }
+      }
+    }, "https://example.com/bundle/tree");
+    registerSchema({
+      $ref: "tree",
+      $dynamicAnchor: "node",
+      properties: {
+        data: { $ref: "#/$defs/count" }
+      },
+      $defs: {
+        count: { $ref: "count" }
+      }
+    }, "https://example.com/bundle/count-tree");
+    registerSchema({ type: "integer", minimum: 0 }, "https://example.com/bundle/count");
+
+    /** @type Json[] */
+    const instances = [
+      { data: 1, children: [{ data: 2 }] },
+      { data: 1, children: [{ data: -2 }] },
+      { data: "1" },
+      []
+    ];
+    const expected = instances.map((instance) => {
+      return validate({ $ref: "https://example.com/bundle/count-tree" }, instance, BASIC).valid;
+    });
+    expect(expected).to.eql([true, false, false, false]);
+
+    const bundledSchema = bundle("https://example.com/bundle/count-tree");
+    expect(instances.map((instance) => validate(bundledSchema, instance, BASIC).valid)).to.eql(expected);
+  });
+
+  test("a schema without external references gets an $id", () => {
+    registerSchema({ items: { $ref: "#/$defs/foo" }, $defs: { foo: true } }, "https://example.com/bundle/local");
+
+    expect(bundle("https://example.com/bundle/local")).to.eql({
+      $id: "https://example.com/bundle/local",
+      items: { $ref: "#/$defs/foo" },
+      $defs: { foo: true }
+    });
+  });
+
+  test("relative identifiers are made absolute", () => {
+    registerSchema({ $id: "foo", $ref: "bar" }, "https://example.com/bundle/relative/");
+    registerSchema({ $id: "bar", const: 1 }, "https://example.com/bundle/relative/bar");
+
+    expect(bundle("https://example.com/bundle/relative/foo")).to.eql({
+      $id: "https://example.com/bundle/relative/foo",
+      $ref: "bar",
+      $defs: {
+        "https://example.com/bundle/relative/bar": {
+          $id: "https://example.com/bundle/relative/bar",
+          const: 1
+        }
+      }
+    });
+  });
+
+  test("embedded resources aren't embedded again", () => {
+    registerSchema({
+      $ref: "outer",
+      $defs: {
+        loop: { $ref: "inner" }
+      }
+    }, "https://example.com/bundle/embedding");
+    registerSchema({
+      $defs: {
+        inner: { $id: "inner", $ref: "embedding" }
+      }
+    }, "https://example.com/bundle/outer");
+
+    expect(bundle("https://example.com/bundle/embedding")).to.eql({
+      $id: "https://example.com/bundle/embedding",
+      $ref: "outer",
+      $defs: {
+        loop: { $ref: "inner" },
+        "https://example.com/bundle/outer": {
+          $id: "https://example.com/bundle/outer",
+          $defs: {
+            inner: { $id: "inner", $ref: "embedding" }
+          }
+        }
+      }
+    });
+  });
+
+  test("resources of other dialects declare their $schema", () => {
+    registerSchema({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      items: { $ref: "draft2020" }
+    }, "https://example.com/bundle/draft07");
+    registerSchema({ prefixItems: [{ type: "string" }] }, "https://example.com/bundle/draft2020");
+    registerSchema({ type: "null" }, "https://example.com/bundle/null", "http://json-schema.org/draft-04/schema#");
+    registerSchema({ $ref: "null" }, "https://example.com/bundle/draft04", "http://json-schema.org/draft-04/schema#");
+
+    expect(bundle("https://example.com/bundle/draft07")).to.eql({
+      $id: "https://example.com/bundle/draft07",
+      $schema: "http://json-schema.org/draft-07/schema#",
+      items: { $ref: "draft2020" },
+      definitions: {
+        "https://example.com/bundle/draft2020": {
+          $id: "https://example.com/bundle/draft2020",
+          $schema: "https://json-schema.org/draft/2020-12/schema",
+          prefixItems: [{ type: "string" }]
+        }
+      }
+    });
+    expect(bundle("https://example.com/bundle/draft04")).to.eql({
+      id: "https://example.com/bundle/draft04",
+      $schema: "http://json-schema.org/draft-04/schema",
+      allOf: [{ $ref: "null" }],
+      definitions: {
+        "https://example.com/bundle/null": {
+          id: "https://example.com/bundle/null",
+          type: "null"
+        }
+      }
+    });
+  });
+
+  test("before 2019-09, a $ref with an identifier is moved to a subschema", () => {
+    registerSchema({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      $ref: "#/definitions/foo",
+      definitions: {
+        foo: { type: "string" }
+      },
+      maxLength: 3
+    }, "https://example.com/bundle/draft07-ref");
+
+    expect(bundle("https://example.com/bundle/draft07-ref")).to.eql({
+      $id: "https://example.com/bundle/draft07-ref",
+      $schema: "http://json-schema.org/draft-07/schema#",
+      allOf: [{ $ref: "#/definitions/foo" }],
+      definitions: {
+        foo: { type: "string" }
+      }
+    });
+  });
+
+  test("boolean resources are embedded as schema objects", () => {
+    registerSchema(true, "https://example.com/bundle/true");
+    registerSchema(false, "https://example.com/bundle/false");
+    registerSchema({ anyOf: [{ $ref: "true" }, { $ref: "false" }] }, "https://example.com/bundle/booleans");
+
+    expect(bundle("https://example.com/bundle/booleans")).to.eql({
+      $id: "https://example.com/bundle/booleans",
+      anyOf: [{ $ref: "true" }, { $ref: "false" }],
+      $defs: {
+        "https://example.com/bundle/true": { $id: "https://example.com/bundle/true" },
+        "https://example.com/bundle/false": { $id: "https://example.com/bundle/false", not: {} }
+      }
+    });
+  });
+
+  test("unknown references are an error", () => {
+    registerSchema({ $ref: "unknown" }, "https://example.com/bundle/unknown-reference");
+    expect(() => bundle("https://example.com/bundle/unknown-reference"))
+      .to.throw("Invalid reference: https://example.com/bundle/unknown");
+  });
+});
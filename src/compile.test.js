@@ -0,0 +1,120 @@
+import { describe, test, expect, vi } from "vitest";
+import { jsonPointerGet } from "./jsonast-util.js";
+import {
+  addKeyword,
+  compile,
+  registerSchema,
+  unregisterSchema,
+  validate,
+  InvalidSchemaError,
+  Output,
+  BASIC,
+  VERBOSE
+} from "./index.js";
+
+/**
+ * @import { Json } from "./jsonast.d.ts"
+ */
+
+
+vi.mock("./jsonast-util.js", async (importOriginal) => {
+  const jsonastUtil = /** @type typeof import("./jsonast-util.js") */ (await importOriginal());
+  return { ...jsonastUtil, jsonPointerGet: vi.fn(jsonastUtil.jsonPointerGet) };
+});
+
+describe("Compiled validators", () => {
+  /** @type Json */
+  const schema = {
+    type: "object",
+    properties: {
+      id: { $ref: "#/$defs/id" },
+      status: { enum: ["active", "inactive"] }
+    },
+    patternProperties: {
+      "^x-": { type: "string" }
+    },
+    additionalProperties: false,
+    $defs: {
+      id: { type: "string", pattern: "^[a-z]+$" }
+    }
+  };
+
+  test("same output as validate", () => {
+    const validator = compile(schema);
+    /** @type Json[] */
+    const instances = [{ id: "foo", status: "active" }, { id: "Foo", "x-foo": 1, bar: true }];
+    for (const instance of instances) {
+      expect(validator(instance, BASIC)).toEqual(validate(schema, instance, BASIC));
+      expect(validator(instance, VERBOSE)).toEqual(validate(schema, instance, VERBOSE));
+    }
+  });
+
+  test("reusable", () => {
+    const validator = compile(schema);
+    expect(validator({ id: "foo" }).valid).to.equal(true);
+    expect(validator({ id: 42 }).valid).to.equal(false);
+    expect(validator({ id: "foo", "x-foo": "bar" }).valid).to.equal(true);
+  });
+
+  test("independent of other compiled validators", () => {
+    const stringValidator = compile({ $ref: "#/$defs/a", $defs: { a: { type: "string" } } });
+    const numberValidator = compile({ $ref: "#/$defs/a", $defs: { a: { type: "number" } } });
+    expect(stringValidator("foo").valid).to.equal(true);
+    expect(numberValidator("foo").valid).to.equal(false);
+    expect(stringValidator("foo").valid).to.equal(true);
+  });
+
+  test("references are resolved once", () => {
+    const validator = compile(schema);
+    validator({ id: "foo" });
+
+    vi.mocked(jsonPointerGet).mockClear();
+    expect(validator({ id: "bar" }).valid).to.equal(true);
+    expect(validator({ id: 42 }).valid).to.equal(false);
+    expect(jsonPointerGet).not.toHaveBeenCalled();
+  });
+
+  test("references are resolved again when the schema they refer to changes", () => {
+    registerSchema({ type: "string" }, "https://example.com/compile/changing");
+    const validator = compile({ $ref: "https://example.com/compile/changing" });
+    expect(validator("foo").valid).to.equal(true);
+
+    registerSchema({ type: "number" }, "https://example.com/compile/changing");
+    expect(validator("foo").valid).to.equal(false);
+
+    unregisterSchema("https://example.com/compile/changing");
+    expect(() => validator("foo")).to.throw("Invalid reference: https://example.com/compile/changing");
+  });
+
+  test("validating while an evaluation is in progress keeps its dynamic scope", () => {
+    const validateNumber = compile({ type: "number" });
+    addKeyword("x-nested-validate", (keywordNode, instanceNode) => {
+      const valid = validate({ type: "number" }, 1).valid && validateNumber(1).valid;
+      return new Output(valid, keywordNode, instanceNode);
+    });
+    registerSchema({
+      $id: "https://example.com/compile/list",
+      "x-nested-validate": true,
+      items: { $dynamicRef: "#item" },
+      $defs: {
+        item: { $dynamicAnchor: "item", type: "number" }
+      }
+    }, "https://example.com/compile/list");
+
+    /** @type Json */
+    const stringList = {
+      $id: "https://example.com/compile/string-list",
+      $ref: "list",
+      $defs: {
+        item: { $dynamicAnchor: "item", type: "string" }
+      }
+    };
+    expect(validate(stringList, ["foo"]).valid).to.equal(true);
+    expect(validate(stringList, [1]).valid).to.equal(false);
+    unregisterSchema("https://example.com/compile/list");
+  });
+
+  test("invalid schema", () => {
+    expect(() => compile({ minLength: -1 })).toThrow(InvalidSchemaError);
+  });
+});
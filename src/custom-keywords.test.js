@@ -0,0 +1,126 @@
+import { describe, test, expect, beforeAll } from "vitest";
+import {
+  addKeyword,
+  assertNodeType,
+  jsonObjectHas,
+  jsonPointerStep,
+  jsonValue,
+  validate,
+  validateSchema,
+  Output,
+  BASIC,
+  VERBOSE
+} from "./index.js";
+
+
+describe("Custom keywords", () => {
+  beforeAll(() => {
+    addKeyword("x-unique-by", (uniqueByNode, instanceNode) => {
+      if (instanceNode.jsonType !== "array") {
+        return new Output(true, uniqueByNode, instanceNode);
+      }
+
+      assertNodeType(uniqueByNode, "string");
+
+      const values = new Set();
+      for (const itemNode of instanceNode.children) {
+        if (itemNode.jsonType === "object" && jsonObjectHas(uniqueByNode.value, itemNode)) {
+          const value = jsonValue(jsonPointerStep(uniqueByNode.value, itemNode));
+          if (values.has(value)) {
+            return new Output(false, uniqueByNode, instanceNode);
+          }
+          values.add(value);
+        }
+      }
+
+      return new Output(true, uniqueByNode, instanceNode);
+    });
+
+    addKeyword("x-amount", (amountNode, instanceNode) => {
+      if (instanceNode.jsonType !== "object" || !jsonObjectHas("amount", instanceNode)) {
+        return new Output(true, amountNode, instanceNode);
+      }
+
+      const schemaOutput = validateSchema(amountNode, jsonPointerStep("amount", instanceNode));
+      return new Output(schemaOutput.valid, amountNode, instanceNode, [schemaOutput], ["amount"]);
+    });
+  });
+
+  test("custom assertion valid", () => {
+    const output = validate({ "x-unique-by": "id" }, [{ id: 1 }, { id: 2 }]);
+    expect(output.valid).to.equal(true);
+  });
+
+  test("custom assertion invalid", () => {
+    const output = validate({ "x-unique-by": "id" }, [{ id: 1 }, { id: 1 }], BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/x-unique-by",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("custom applicator invalid", () => {
+    const output = validate({
+      "x-amount": { type: "number" }
+    }, { amount: "10" }, BASIC);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/x-amount",
+          instanceLocation: "#"
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/x-amount/type",
+          instanceLocation: "#/amount"
+        }
+      ]
+    });
+  });
+
+  test("custom applicator annotations", () => {
+    const output = validate({
+      "x-amount": { title: "Amount" }
+    }, { amount: 10 }, VERBOSE);
+    expect(output).toEqual({
+      valid: true,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      annotations: [
+        {
+          valid: true,
+          absoluteKeywordLocation: "#/x-amount",
+          instanceLocation: "#",
+          annotation: ["amount"],
+          annotations: [
+            {
+              valid: true,
+              absoluteKeywordLocation: "#/x-amount",
+              instanceLocation: "#/amount",
+              annotations: [
+                {
+                  valid: true,
+                  absoluteKeywordLocation: "#/x-amount/title",
+                  instanceLocation: "#/amount",
+                  annotation: "Amount"
+                }
+              ]
+            }
+          ]
+        }
+      ]
+    });
+  });
+});
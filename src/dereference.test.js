@@ -0,0 +1,169 @@
+import { describe, test, expect } from "vitest";
+import { dereference, registerSchema } from "./index.js";
+
+
+describe("Dereferencing", () => {
+  test("references are replaced by the schemas they reference", () => {
+    registerSchema({
+      $id: "https://example.com/dereference/person",
+      type: "object",
+      properties: {
+        name: { $ref: "string" },
+        street: { $ref: "address#/$defs/street" },
+        city: { $ref: "address#city" }
+      }
+    }, "https://example.com/dereference/person");
+    registerSchema({ type: "string" }, "https://example.com/dereference/string");
+    registerSchema({
+      $id: "https://example.com/dereference/address",
+      $defs: {
+        street: { $ref: "string" },
+        city: { $anchor: "city", const: "Springfield" }
+      }
+    }, "https://example.com/dereference/address");
+
+    expect(dereference("https://example.com/dereference/person")).to.eql({
+      $id: "https://example.com/dereference/person",
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        street: { type: "string" },
+        city: { $anchor: "city", const: "Springfield" }
+      }
+    });
+  });
+
+  test("a schema within a registered schema", () => {
+    registerSchema({
+      $defs: {
+        id: { $ref: "#/$defs/positive" },
+        positive: { type: "integer", minimum: 1 }
+      }
+    }, "https://example.com/dereference/defs");
+
+    expect(dereference("https://example.com/dereference/defs#/$defs/id")).to.eql({ type: "integer", minimum: 1 });
+  });
+
+  test("siblings of $ref are kept with allOf", () => {
+    registerSchema({
+      properties: {
+        foo: { $ref: "#/$defs/foo", title: "Foo" },
+        bar: { $ref: "#/$defs/foo", allOf: [{ minLength: 1 }] }
+      },
+      $defs: {
+        foo: { type: "string" }
+      }
+    }, "https://example.com/dereference/siblings");
+
+    expect(dereference("https://example.com/dereference/siblings")).to.eql({
+      properties: {
+        foo: { title: "Foo", allOf: [{ type: "string" }] },
+        bar: { allOf: [{ minLength: 1 }, { type: "string" }] }
+      },
+      $defs: {
+        foo: { type: "string" }
+      }
+    });
+  });
+
+  test("before 2019-09, siblings of $ref are dropped", () => {
+    registerSchema({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      $ref: "#/definitions/foo",
+      title: "Ignored",
+      definitions: {
+        foo: { $id: "foo", type: "string" }
+      }
+    }, "https://example.com/dereference/draft07");
+
+    expect(dereference("https://example.com/dereference/draft07")).to.eql({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      allOf: [{ type: "string" }]
+    });
+  });
+
+  test("identifiers are removed from inlined schemas", () => {
+    registerSchema({ $ref: "other" }, "https://example.com/dereference/identifiers");
+    registerSchema({
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      $id: "https://example.com/dereference/other",
+      $defs: {
+        embedded: { $id: "embedded", type: "null" }
+      }
+    }, "https://example.com/dereference/other");
+
+    expect(dereference("https://example.com/dereference/identifiers")).to.eql({
+      $defs: {
+        embedded: { type: "null" }
+      }
+    });
+  });
+
+  test("recursive references are kept", () => {
+    registerSchema({
+      $id: "https://example.com/dereference/tree",
+      type: "object",
+      properties: {
+        children: { type: "array", items: { $ref: "#" } },
+        next: { $ref: "#/$defs/list" }
+      },
+      $defs: {
+        list: {
+          type: ["object", "null"],
+          properties: {
+            next: { $ref: "#/$defs/list" }
+          }
+        }
+      }
+    }, "https://example.com/dereference/tree");
+
+    const list = {
+      type: ["object", "null"],
+      properties: {
+        next: { $ref: "https://example.com/dereference/tree#/$defs/list" }
+      }
+    };
+    expect(dereference("https://example.com/dereference/tree")).to.eql({
+      $id: "https://example.com/dereference/tree",
+      type: "object",
+      properties: {
+        children: { type: "array", items: { $ref: "https://example.com/dereference/tree#" } },
+        next: list
+      },
+      $defs: { list }
+    });
+  });
+
+  test("references that loop through other schemas are kept", () => {
+    registerSchema({ properties: { b: { $ref: "b" } } }, "https://example.com/dereference/a");
+    registerSchema({ properties: { a: { $ref: "a" } } }, "https://example.com/dereference/b");
+
+    expect(dereference("https://example.com/dereference/a")).to.eql({
+      properties: {
+        b: {
+          properties: {
+            a: { $ref: "https://example.com/dereference/a#" }
+          }
+        }
+      }
+    });
+  });
+
+  test("$dynamicRef isn't replaced", () => {
+    registerSchema({
+      $dynamicAnchor: "node",
+      items: { $dynamicRef: "#node" }
+    }, "https://example.com/dereference/dynamic");
+
+    expect(dereference("https://example.com/dereference/dynamic")).to.eql({
+      $dynamicAnchor: "node",
+      items: { $dynamicRef: "#node" }
+    });
+  });
+
+  test("unknown references are an error", () => {
+    registerSchema({ $ref: "unknown" }, "https://example.com/dereference/unknown-reference");
+    expect(() => dereference("https://example.com/dereference/unknown-reference"))
+      .to.throw("Invalid reference: https://example.com/dereference/unknown");
+  });
+});
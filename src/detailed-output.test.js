@@ -0,0 +1,635 @@
+import { describe, test, expect } from "vitest";
+import { validate, DETAILED } from "./index.js";
+
+
+describe("Detailed output format", () => {
+  test("valid", () => {
+    const output = validate({ type: "string" }, "foo", DETAILED);
+    expect(output).toEqual({
+      valid: true,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#"
+    });
+  });
+
+  test("the root isn't collapsed", () => {
+    const output = validate({ type: "string" }, 42, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/type",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("$ref", () => {
+    const output = validate({
+      $ref: "#/$defs/foo",
+      $defs: {
+        foo: { minimum: 50, multipleOf: 5 }
+      }
+    }, 42, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/$defs/foo",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/$defs/foo/minimum",
+              instanceLocation: "#"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/$defs/foo/multipleOf",
+              instanceLocation: "#"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("$ref with a single error", () => {
+    const output = validate({
+      $ref: "#/$defs/foo",
+      $defs: {
+        foo: { type: "string" }
+      }
+    }, 42, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/$defs/foo/type",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("additionalProperties", () => {
+    const output = validate({
+      additionalProperties: false
+    }, { foo: 1, bar: 2 }, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/additionalProperties",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/additionalProperties",
+              instanceLocation: "#/foo"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/additionalProperties",
+              instanceLocation: "#/bar"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("allOf", () => {
+    const output = validate({
+      allOf: [
+        { type: "string" },
+        { maximum: 5 }
+      ]
+    }, 42, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/allOf",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/allOf/0/type",
+              instanceLocation: "#"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/allOf/1/maximum",
+              instanceLocation: "#"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("anyOf", () => {
+    const output = validate({
+      anyOf: [
+        { type: "string" },
+        { type: "number", maximum: 5, multipleOf: 5 }
+      ]
+    }, 42, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/anyOf",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/anyOf/0/type",
+              instanceLocation: "#"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/anyOf/1",
+              instanceLocation: "#",
+              errors: [
+                {
+                  valid: false,
+                  absoluteKeywordLocation: "#/anyOf/1/maximum",
+                  instanceLocation: "#"
+                },
+                {
+                  valid: false,
+                  absoluteKeywordLocation: "#/anyOf/1/multipleOf",
+                  instanceLocation: "#"
+                }
+              ]
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("oneOf", () => {
+    const output = validate({
+      oneOf: [
+        { type: "string" },
+        { type: "boolean" }
+      ]
+    }, 42, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/oneOf",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/oneOf/0/type",
+              instanceLocation: "#"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/oneOf/1/type",
+              instanceLocation: "#"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("oneOf with multiple matches", () => {
+    const output = validate({
+      oneOf: [
+        { type: "number" },
+        { maximum: 50 }
+      ]
+    }, 42, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/oneOf",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("not", () => {
+    const output = validate({
+      not: { type: "number" }
+    }, 42, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/not",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("contains", () => {
+    const output = validate({
+      contains: { type: "string" }
+    }, [1, 2], DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/contains",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/contains/type",
+              instanceLocation: "#/0"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/contains/type",
+              instanceLocation: "#/1"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("dependentSchemas", () => {
+    const output = validate({
+      dependentSchemas: {
+        foo: { required: ["bar"] },
+        baz: { maxProperties: 1 }
+      }
+    }, { foo: 1, baz: 2 }, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/dependentSchemas",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/dependentSchemas/foo/required",
+              instanceLocation: "#"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/dependentSchemas/baz/maxProperties",
+              instanceLocation: "#"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("then", () => {
+    const output = validate({
+      if: { type: "number" },
+      then: { minimum: 50, multipleOf: 5 }
+    }, 42, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/then",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/then/minimum",
+              instanceLocation: "#"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/then/multipleOf",
+              instanceLocation: "#"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("else", () => {
+    const output = validate({
+      if: { type: "string" },
+      else: { type: "boolean" }
+    }, 42, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/else/type",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("items", () => {
+    const output = validate({
+      items: { type: "string" }
+    }, [1, 2], DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/items",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/items/type",
+              instanceLocation: "#/0"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/items/type",
+              instanceLocation: "#/1"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("patternProperties", () => {
+    const output = validate({
+      patternProperties: {
+        "^f": { type: "string" }
+      }
+    }, { foo: 1, foo2: 2 }, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/patternProperties",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/patternProperties/^f/type",
+              instanceLocation: "#/foo"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/patternProperties/^f/type",
+              instanceLocation: "#/foo2"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("prefixItems", () => {
+    const output = validate({
+      prefixItems: [{ type: "string" }, { type: "boolean" }]
+    }, [1, 2], DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/prefixItems",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/prefixItems/0/type",
+              instanceLocation: "#/0"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/prefixItems/1/type",
+              instanceLocation: "#/1"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("properties", () => {
+    const output = validate({
+      properties: {
+        foo: { type: "string" },
+        bar: { type: "boolean" }
+      }
+    }, { foo: 1, bar: 2 }, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/properties",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/properties/foo/type",
+              instanceLocation: "#/foo"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/properties/bar/type",
+              instanceLocation: "#/bar"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("propertyNames", () => {
+    const output = validate({
+      propertyNames: { maxLength: 2 }
+    }, { foo: 1, bar: 2 }, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/propertyNames",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/propertyNames/maxLength",
+              instanceLocation: "#/foo"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/propertyNames/maxLength",
+              instanceLocation: "#/bar"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("nested applicators", () => {
+    const output = validate({
+      type: "object",
+      properties: {
+        foo: {
+          items: { $ref: "#/$defs/positive" }
+        }
+      },
+      $defs: {
+        positive: { type: "number", minimum: 0 }
+      }
+    }, { foo: [-1, true] }, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/properties/foo/items",
+          instanceLocation: "#/foo",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/$defs/positive/minimum",
+              instanceLocation: "#/foo/0"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/$defs/positive/type",
+              instanceLocation: "#/foo/1"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("false schema", () => {
+    const output = validate({
+      items: false
+    }, [1, 2], DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/items",
+          instanceLocation: "#",
+          errors: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/items",
+              instanceLocation: "#/0"
+            },
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/items",
+              instanceLocation: "#/1"
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test.each([
+    ["const", { const: 42 }, "foo"],
+    ["dependentRequired", { dependentRequired: { foo: ["bar"] } }, { foo: 42 }],
+    ["enum", { enum: [1, 2] }, 42],
+    ["exclusiveMaximum", { exclusiveMaximum: 42 }, 42],
+    ["exclusiveMinimum", { exclusiveMinimum: 42 }, 42],
+    ["maxItems", { maxItems: 1 }, [1, 2]],
+    ["minItems", { minItems: 1 }, []],
+    ["maxLength", { maxLength: 1 }, "foo"],
+    ["minLength", { minLength: 4 }, "foo"],
+    ["maxProperties", { maxProperties: 0 }, { foo: 42 }],
+    ["minProperties", { minProperties: 1 }, {}],
+    ["maximum", { maximum: 5 }, 42],
+    ["minimum", { minimum: 50 }, 42],
+    ["multipleOf", { multipleOf: 5 }, 42],
+    ["pattern", { pattern: "^a" }, "foo"],
+    ["required", { required: ["foo"] }, {}],
+    ["type", { type: "string" }, 42],
+    ["uniqueItems", { uniqueItems: true }, [1, 1]]
+  ])("%s", (keyword, schema, instance) => {
+    const output = validate(schema, instance, DETAILED);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: false,
+          absoluteKeywordLocation: `#/${keyword}`,
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+});
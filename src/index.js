@@ -1,8 +1,14 @@
+import { existsSync, readdirSync, readFileSync, statSync } from "node:fs";
+import { join, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
 import jsonStringify from "json-stringify-deterministic";
 import * as JsonPointer from "@hyperjump/json-pointer";
-import { parseIriReference, resolveIri, toAbsoluteIri } from "@hyperjump/uri";
+import { resolveIri } from "@hyperjump/uri";
+import * as Format from "@hyperjump/json-schema-formats";
 import {
   assertNodeType,
+  copyJsonNode,
+  isJsonNode,
   toJsonNode,
   jsonObjectHas,
   jsonObjectKeys,
@@ -10,651 +16,3448 @@ import {
   jsonPointerStep,
   jsonValue
 } from "./jsonast-util.js";
-import { Output } from "./output.js";
+import { parseJson } from "./json-parser.js";
+import { parseYaml } from "./yaml-parser.js";
+import { errorMessage, schemaErrorMessage } from "./messages.js";
+import { metaSchemas } from "./meta-schemas.js";
+import { BASIC, FLAG, Output, formatOutput } from "./output.js";
+
+export { BASIC, DETAILED, FLAG, VERBOSE, Output } from "./output.js";
+export { parseJson, JsonSyntaxError } from "./json-parser.js";
+export { parseYaml, YamlSyntaxError } from "./yaml-parser.js";
+export { addMessages } from "./messages.js";
+export {
+  assertNodeType,
+  jsonObjectHas,
+  jsonObjectKeys,
+  jsonPointerStep,
+  jsonValue
+} from "./jsonast-util.js";
 
 /**
  * @import {
  *   Json,
  *   JsonNode,
+ *   JsonObject,
  *   JsonObjectNode,
+ *   JsonPropertyNameNode,
+ *   JsonPropertyNode,
  *   JsonStringNode
  * } from "./jsonast.d.ts"
+ * @import { OutputFormat } from "./output.js"
+ * @import { MessageContext } from "./messages.js"
  */
 
 
-/** @type (schema: Json, instance: Json) => Output */
-export const validate = (schema, instance) => {
-  // Determine schema identifier
-  const uri = typeof schema === "object" && schema !== null && !Array.isArray(schema)
-    && typeof schema.$id === "string" ? schema.$id : "";
-  registerSchema(schema, uri);
+/**
+ * The schema and instance can be JSON values or JsonNode trees, such as those
+ * from `parseJson`.
+ *
+ * @type (schema: Json | JsonNode, instance: Json | JsonNode, outputFormat?: OutputFormat) => Output
+ */
+export const validate = (schema, instance, outputFormat = FLAG) => {
+  return compile(schema)(instance, outputFormat);
+};
 
-  const schemaNode = /** @type NonNullable<JsonNode> */ (schemaRegistry.get(uri));
+/**
+ * @typedef {(instance: Json | JsonNode, outputFormat?: OutputFormat) => Output} Validator
+ */
 
-  // Verify the dialect is supported
-  if (schemaNode.jsonType === "object" && jsonObjectHas("$schema", schemaNode)) {
-    const $schema = jsonPointerStep("$schema", schemaNode);
-    if ($schema.jsonType === "string" && $schema.value !== "https://json-schema.org/draft/2020-12/schema") {
-      throw Error(`Dialect '${$schema.value}' is not supported. Use 2020-12.`);
-    }
-  }
+/**
+ * Prepare a schema to validate any number of instances. The schema is parsed
+ * and validated against its meta-schema once rather than every time an
+ * instance is validated.
+ *
+ * @type (schema: Json | JsonNode) => Validator
+ */
+export const compile = (schema) => {
+  const schemaRegistry = registry;
+  const schemas = identifySchemas(schema, unregisteredSchemaUri(schema), dialectUri);
+  const schemaNode = schemas[0][1];
+
+  withSchemas(schemas, () => {
+    assertValidSchema(schemaNode);
+  });
+
+  // The validator uses the registry the schema was compiled with
+  return (instance, outputFormat = FLAG) => withRegistry(schemaRegistry, () => withSchemas(schemas, () => {
+    const output = withShortCircuit(outputFormat === FLAG, () => {
+      return validateSchema(schemaNode, jsonNodeFrom(instance, ""));
+    });
+    return formatOutput(output, outputFormat);
+  }));
+};
 
-  const output = validateSchema(schemaNode, toJsonNode(instance));
+/**
+ * @typedef {(uri: string) => Promise<Json>} RetrieveSchema
+ */
 
-  schemaRegistry.delete(uri);
+/**
+ * Validate an instance after retrieving any referenced schemas that aren't
+ * registered. Retrieved schemas are registered so they are only retrieved
+ * once. By default, schemas are retrieved with `fetch`.
+ *
+ * @type (schema: Json | JsonNode, instance: Json | JsonNode, outputFormat?: OutputFormat, retrieve?: RetrieveSchema) => Promise<Output>
+ */
+export const validateAsync = async (schema, instance, outputFormat = FLAG, retrieve = fetchSchema) => {
+  // Another registry could be in use by the time the schemas are retrieved
+  const schemaRegistry = registry;
+  const schemas = identifySchemas(schema, unregisteredSchemaUri(schema), dialectUri);
+  await retrieveReferencedSchemas(schemas, retrieve, schemaRegistry);
 
-  return output;
+  return withRegistry(schemaRegistry, () => validate(schema, instance, outputFormat));
 };
 
-/** @type (schemaNode: JsonNode, instanceNode: JsonNode) => Output */
-const validateSchema = (schemaNode, instanceNode) => {
-  if (schemaNode.type === "json") {
-    switch (schemaNode.jsonType) {
-      case "boolean":
-        return new Output(schemaNode.value, schemaNode, instanceNode);
-      case "object":
-        let isValid = true;
-        for (const propertyNode of schemaNode.children) {
-          const [keywordNode, keywordValueNode] = propertyNode.children;
-          const keywordHandler = keywordHandlers.get(keywordNode.value);
-          if (keywordHandler) {
-            const keywordOutput = keywordHandler(keywordValueNode, instanceNode, schemaNode);
-            if (!keywordOutput.valid) {
-              isValid = false;
-            }
-          }
-        }
-
-        return new Output(isValid, schemaNode, instanceNode);
-    }
+/** @type RetrieveSchema */
+const fetchSchema = async (uri) => {
+  const response = await fetch(uri, {
+    headers: { Accept: "application/schema+json, application/json" }
+  });
+  if (!response.ok) {
+    throw Error(`${response.status} ${response.statusText}`);
   }
 
-  throw Error("Invalid Schema");
+  /** @type Json */
+  const schema = await response.json(); // eslint-disable-line @typescript-eslint/no-unsafe-assignment
+  return schema;
 };
 
-/** @type Map<string, JsonNode> */
-const schemaRegistry = new Map();
+/**
+ * Retrieve the unregistered schemas that are referenced by a schema, the
+ * schemas they reference, and so on. Each schema is registered as soon as it's
+ * retrieved, so a reference that loops back to a schema that has already been
+ * retrieved doesn't retrieve it again. A retrieved schema that doesn't declare
+ * a `$schema` has the same dialect as the schema that referenced it.
+ *
+ * @type (schemas: IdentifiedSchema[], retrieve: RetrieveSchema, schemaRegistry: RegistryState) => Promise<void>
+ */
+const retrieveReferencedSchemas = async (schemas, retrieve, schemaRegistry) => {
+  const localDialects = new Map(schemas.map(([uri, , dialect]) => [uri, dialect]));
+
+  const pendingSchemaNodes = [schemas[0][1]];
+  while (pendingSchemaNodes.length > 0) {
+    const schemaNode = /** @type JsonNode */ (pendingSchemaNodes.shift());
+    for (const [uri, referencingUri] of referencedSchemaUris(schemaNode)) {
+      if (uri === "" || localDialects.has(uri) || schemaRegistry.schemas.has(uri) || uri.startsWith("file:")) {
+        continue;
+      }
+
+      let schema;
+      try {
+        schema = await retrieve(uri);
+      } catch (error) {
+        throw Error(`Unable to retrieve schema: ${uri}`, { cause: error });
+      }
 
-/** @type (schema: Json, uri: string) => void */
-export const registerSchema = (schema, uri) => {
-  schemaRegistry.set(uri, toJsonNode(schema, uri));
+      const [[, retrievedSchemaNode]] = withRegistry(schemaRegistry, () => {
+        const dialect = localDialects.get(referencingUri) ?? dialectOf(referencingUri);
+        return addSchema(schema, uri, dialect);
+      });
+      pendingSchemaNodes.push(retrievedSchemaNode);
+    }
+  }
 };
 
 /**
- * @typedef {(
- *   keywordNode: JsonNode,
- *   instanceNode: JsonNode,
- *   schemaNode: JsonObjectNode
- * ) => Output} KeywordHandler
+ * Bundle a registered schema and every schema resource it references, directly
+ * or indirectly, into one compound schema that doesn't need the registry. Each
+ * referenced resource is embedded in `$defs` (`definitions` before 2019-09)
+ * identified by its absolute URI, so references resolve to the embedded
+ * resources without being changed. Meta-schemas aren't embedded.
+ *
+ * @type (uri: string) => Json
  */
+export const bundle = (uri) => {
+  const schemaUri = withoutFragment(uri);
+  const schemaNode = getSchema(schemaUri);
+  if (schemaNode.jsonType !== "object") {
+    return jsonValue(schemaNode);
+  }
 
-/** @type Map<string, KeywordHandler> */
-const keywordHandlers = new Map();
+  const dialect = dialectOf(baseUriOf(schemaNode));
+  const bundledUris = new Set([schemaUri, ...resourceUris(schemaNode)]);
+
+  /** @type JsonObject */
+  const embeddedSchemas = {};
+  /** @type JsonNode[] */
+  const pendingSchemaNodes = [schemaNode];
+  while (pendingSchemaNodes.length > 0) {
+    const pendingSchemaNode = /** @type JsonNode */ (pendingSchemaNodes.shift());
+    for (const [referencedUri, baseUri] of referencedSchemaUris(pendingSchemaNode, ["$ref", "$dynamicRef"])) {
+      if (referencedUri === "" || bundledUris.has(referencedUri)) {
+        continue;
+      }
 
-keywordHandlers.set("$ref", (refNode, instanceNode) => {
-  assertNodeType(refNode, "string");
+      const referencedSchemaNode = getSchema(referencedUri, baseUri);
+      bundledUris.add(referencedUri);
+      for (const resourceUri of resourceUris(referencedSchemaNode)) {
+        bundledUris.add(resourceUri);
+      }
 
-  const uri = refNode.location.startsWith("#")
-    ? refNode.value.startsWith("#") ? "" : toAbsoluteIri(refNode.value)
-    : toAbsoluteIri(resolveIri(refNode.value, toAbsoluteIri(refNode.location)));
+      embeddedSchemas[baseUriOf(referencedSchemaNode)] = identifiedSchema(referencedSchemaNode, dialect);
+      pendingSchemaNodes.push(referencedSchemaNode);
+    }
+  }
 
-  const schemaNode = schemaRegistry.get(uri);
-  if (!schemaNode) {
-    throw Error(`Invalid reference: ${uri}`);
+  const bundledSchema = identifiedSchema(schemaNode, dialect);
+  if (dialect !== dialectUri && !("$schema" in bundledSchema)) {
+    bundledSchema.$schema = dialect;
   }
 
-  const pointer = decodeURI(parseIriReference(refNode.value).fragment ?? "");
-  const referencedSchemaNode = jsonPointerGet(pointer, schemaNode, uri);
+  if (Object.keys(embeddedSchemas).length > 0) {
+    const defsKeyword = legacyDialectUris.has(dialect) ? "definitions" : "$defs";
+    const defs = bundledSchema[defsKeyword];
+    bundledSchema[defsKeyword] = { ...typeof defs === "object" && !Array.isArray(defs) ? defs : {}, ...embeddedSchemas };
+  }
 
-  const keywordOutput = validateSchema(referencedSchemaNode, instanceNode);
-  return new Output(keywordOutput.valid, refNode, instanceNode, keywordOutput.errors);
-});
+  return bundledSchema;
+};
 
-keywordHandlers.set("additionalProperties", (additionalPropertiesNode, instanceNode, schemaNode) => {
-  if (instanceNode.jsonType !== "object") {
-    return new Output(true, additionalPropertiesNode, instanceNode);
+/**
+ * The URIs of the schema resources a schema is or contains.
+ *
+ * @type (schemaNode: JsonNode) => Generator<string>
+ */
+const resourceUris = function* (schemaNode) {
+  for (const node of schemaNodes(schemaNode)) {
+    yield baseUriOf(node);
   }
+};
 
-  const propertyPatterns = [];
-
-  if (jsonObjectHas("properties", schemaNode)) {
-    const propertiesNode = jsonPointerStep("properties", schemaNode);
-    if (propertiesNode.jsonType === "object") {
-      for (const propertyName of jsonObjectKeys(propertiesNode)) {
-        propertyPatterns.push(`^${regexEscape(propertyName)}$`);
+/**
+ * A schema resource as a schema object that is identified by its absolute URI
+ * so it can be embedded in a schema of another dialect or without the URI it
+ * was retrieved from. A resource of a different dialect declares its
+ * `$schema`. Anything other than `definitions` that is ignored because of a
+ * `$ref` before 2019-09 is dropped.
+ *
+ * @type (schemaNode: JsonNode, containerDialect: string) => JsonObject
+ */
+const identifiedSchema = (schemaNode, containerDialect) => {
+  const uri = baseUriOf(schemaNode);
+  const dialect = dialectOf(uri);
+
+  /** @type JsonObject */
+  let schema;
+  if (schemaNode.jsonType === "object") {
+    schema = jsonValue(schemaNode);
+  } else {
+    schema = schemaNode.jsonType === "boolean" && schemaNode.value ? {} : { not: {} };
+  }
+  delete schema[dialect === draft04DialectUri ? "id" : "$id"];
+
+  // Before 2019-09, `$ref` replaces the rest of the schema including its
+  // identifier, so the reference is moved to a subschema
+  if (legacyDialectUris.has(dialect) && "$ref" in schema) {
+    const { $ref, ...siblings } = schema;
+    schema = { allOf: [{ $ref }] };
+    for (const keyword of ["$schema", "definitions"]) {
+      if (keyword in siblings) {
+        schema[keyword] = siblings[keyword];
       }
     }
   }
 
-  if (jsonObjectHas("patternProperties", schemaNode)) {
-    const patternPropertiesNode = jsonPointerStep("patternProperties", schemaNode);
-    if (patternPropertiesNode.jsonType === "object") {
-      propertyPatterns.push(...jsonObjectKeys(patternPropertiesNode));
-    }
-  }
+  return {
+    [containerDialect === draft04DialectUri ? "id" : "$id"]: uri,
+    ...dialect !== containerDialect && !("$schema" in schema) ? { $schema: dialect } : {},
+    ...schema
+  };
+};
 
-  const isDefinedProperty = new RegExp(propertyPatterns.length > 0 ? propertyPatterns.join("|") : "(?!)", "u");
+/**
+ * Dereference a registered schema by replacing each `$ref` with the schema it
+ * references. When a `$ref` has sibling keywords, the referenced schema is
+ * added to the siblings' `allOf`. Before 2019-09, siblings of `$ref` are
+ * ignored and dropped. A `$ref` to a schema that is being dereferenced, such
+ * as a recursive reference, can't be replaced, so it's kept as a `$ref` to
+ * the absolute URI of that schema. Identifiers are removed from everything but
+ * the root, because inlined schemas are no longer resources of their own.
+ * `$dynamicRef` isn't replaced.
+ *
+ * @type (uri: string) => Json
+ */
+export const dereference = (uri) => {
+  const schemaNode = getSchema(uri);
+  return dereferencedSchema(schemaNode, new Set(), true);
+};
 
-  let isValid = true;
-  for (const propertyNode of instanceNode.children) {
-    const [propertyNameNode, instancePropertyNode] = propertyNode.children;
-    if (!isDefinedProperty.test(propertyNameNode.value)) {
-      const schemaOutput = validateSchema(additionalPropertiesNode, instancePropertyNode);
-      if (!schemaOutput.valid) {
-        isValid = false;
+/**
+ * @type (schemaNode: JsonNode, dereferencingNodes: Set<JsonNode>, isRoot?: boolean) => Json
+ */
+const dereferencedSchema = (schemaNode, dereferencingNodes, isRoot = false) => {
+  if (schemaNode.jsonType !== "object") {
+    return jsonValue(schemaNode);
+  }
+
+  dereferencingNodes.add(schemaNode);
+
+  const dialect = dialectOf(baseUriOf(schemaNode));
+  const idKeyword = dialect === draft04DialectUri ? "id" : "$id";
+
+  /** @type JsonObject */
+  const schema = {};
+  let referencedSchema;
+  for (const propertyNode of schemaNode.children) {
+    const [keywordNode, keywordValueNode] = propertyNode.children;
+    const keyword = keywordNode.value;
+    if (keyword === "$ref" && keywordValueNode.jsonType === "string") {
+      const baseUri = baseUriOf(keywordValueNode);
+      const referencedSchemaNode = getSchema(resolveReference(keywordValueNode.value, baseUri), baseUri);
+      referencedSchema = dereferencingNodes.has(referencedSchemaNode)
+        ? { $ref: referencedSchemaNode.location }
+        : dereferencedSchema(referencedSchemaNode, dereferencingNodes);
+    } else if (!isRoot && (keyword === idKeyword || keyword === "$schema")) {
+      continue;
+    } else if (subschemaArrayKeywords.has(keyword) && keywordValueNode.jsonType === "array") {
+      schema[keyword] = keywordValueNode.children.map((subschemaNode) => {
+        return dereferencedSchema(subschemaNode, dereferencingNodes);
+      });
+    } else if (subschemaKeywords.has(keyword)) {
+      schema[keyword] = dereferencedSchema(keywordValueNode, dereferencingNodes);
+    } else if (subschemaObjectKeywords.has(keyword) && keywordValueNode.jsonType === "object") {
+      /** @type JsonObject */
+      const subschemas = {};
+      for (const subschemaPropertyNode of keywordValueNode.children) {
+        const [propertyNameNode, subschemaNode] = subschemaPropertyNode.children;
+        subschemas[propertyNameNode.value] = dereferencedSchema(subschemaNode, dereferencingNodes);
       }
+      schema[keyword] = subschemas;
+    } else {
+      schema[keyword] = jsonValue(keywordValueNode);
     }
   }
 
-  return new Output(isValid, additionalPropertiesNode, instanceNode);
-});
+  dereferencingNodes.delete(schemaNode);
 
-/** @type (string: string) => string */
-const regexEscape = (string) => string
-  .replace(/[|\\{}()[\]^$+*?.]/g, "\\$&")
-  .replace(/-/g, "\\x2d");
+  if (referencedSchema === undefined) {
+    return schema;
+  }
 
-keywordHandlers.set("allOf", (allOfNode, instanceNode) => {
-  assertNodeType(allOfNode, "array");
+  // Before 2019-09, `$ref` replaces the rest of the schema
+  const siblings = legacyDialectUris.has(dialect)
+    ? Object.fromEntries(Object.entries(schema).filter(([keyword]) => keyword === idKeyword || keyword === "$schema"))
+    : schema;
+  if (Object.keys(siblings).length === 0) {
+    return referencedSchema;
+  }
 
-  let isValid = true;
-  for (const schemaNode of allOfNode.children) {
-    if (!validateSchema(schemaNode, instanceNode).valid) {
-      isValid = false;
+  const allOf = Array.isArray(siblings.allOf) ? siblings.allOf : [];
+  return { ...siblings, allOf: [...allOf, referencedSchema] };
+};
+
+/**
+ * A schema that isn't registered is identified by its `$id`, if it has one.
+ *
+ * @type (schema: Json | JsonNode) => string
+ */
+const unregisteredSchemaUri = (schema) => {
+  if (isJsonNode(schema)) {
+    if (schema.jsonType === "object" && jsonObjectHas("$id", schema)) {
+      const idNode = jsonPointerStep("$id", schema);
+      return idNode.jsonType === "string" ? idNode.value : "";
     }
+    return "";
   }
 
-  return new Output(isValid, allOfNode, instanceNode);
-});
+  return typeof schema === "object" && schema !== null && !Array.isArray(schema)
+    && typeof schema.$id === "string" ? schema.$id : "";
+};
 
-keywordHandlers.set("anyOf", (anyOfNode, instanceNode) => {
-  assertNodeType(anyOfNode, "array");
+/**
+ * A JsonNode tree located relative to `uri`. A tree that is passed in is
+ * copied rather than relocated in place.
+ *
+ * @type (value: Json | JsonNode, uri: string) => JsonNode
+ */
+const jsonNodeFrom = (value, uri) => {
+  return isJsonNode(value) ? copyJsonNode(value, uri) : toJsonNode(value, uri);
+};
 
-  let isValid = false;
-  for (const schemaNode of anyOfNode.children) {
-    const schemaOutput = validateSchema(schemaNode, instanceNode);
-    if (schemaOutput.valid) {
-      isValid = true;
+/**
+ * Schemas that aren't registered are only available while they are being
+ * evaluated.
+ *
+ * @type <A>(schemas: IdentifiedSchema[], evaluate: () => A) => A
+ */
+const withSchemas = (schemas, evaluate) => {
+  // Registered schemas with the same URIs are hidden until evaluation is done
+  /** @type IdentifiedSchema[] */
+  const shadowedSchemas = [];
+  for (const [uri] of schemas) {
+    const schemaNode = registry.schemas.get(uri);
+    if (schemaNode) {
+      shadowedSchemas.push([uri, schemaNode, dialectOf(uri)]);
     }
   }
-  return new Output(isValid, anyOfNode, instanceNode);
-});
 
-keywordHandlers.set("oneOf", (oneOfNode, instanceNode) => {
-  assertNodeType(oneOfNode, "array");
+  addSchemas(schemas);
+  resourceVocabularies.clear();
+
+  // A custom keyword can validate while an evaluation is in progress. The
+  // dynamic scope and evaluations of the outer evaluation are restored when
+  // it's done.
+  const outerDynamicScope = dynamicScope.splice(0);
+  const outerEvaluations = evaluations.splice(0);
+
+  try {
+    return evaluate();
+  } finally {
+    dynamicScope.splice(0, Infinity, ...outerDynamicScope);
+    evaluations.splice(0, Infinity, ...outerEvaluations);
+    removeSchemas(schemas);
+    addSchemas(shadowedSchemas);
+  }
+};
 
-  let matches = 0;
-  for (const schemaNode of oneOfNode.children) {
-    const schemaOutput = validateSchema(schemaNode, instanceNode);
-    if (schemaOutput.valid) {
-      matches++;
-    }
+/**
+ * Thrown when a schema is not valid against its meta-schema. The `output` is
+ * the result of validating the schema against its meta-schema in the Basic
+ * output format. The `instanceLocation` of each error is a location in the
+ * schema and the `absoluteKeywordLocation` is the meta-schema keyword that
+ * failed.
+ */
+export class InvalidSchemaError extends Error {
+  output;
+
+  /**
+   * @param {Output} output
+   */
+  constructor(output) {
+    super("Invalid Schema");
+    this.name = "InvalidSchemaError";
+    this.output = output;
   }
+}
 
-  return new Output(matches === 1, oneOfNode, instanceNode);
-});
+/**
+ * Schemas that have been validated against their meta-schema, or are in the
+ * process of being validated. Each schema only needs to be validated once.
+ *
+ * @type WeakSet<JsonNode>
+ */
+const validatedSchemas = new WeakSet();
 
-keywordHandlers.set("not", (notNode, instanceNode) => {
-  const schemaOutput = validateSchema(notNode, instanceNode);
-  return new Output(!schemaOutput.valid, notNode, instanceNode);
-});
+/**
+ * The values of the schemas that are valid against each meta-schema. A schema
+ * passed to `validate` is parsed into new nodes every time, so it's recognized
+ * by its value instead. Whether `format` is asserted is part of the key because
+ * it changes the result. Only the most recent values are kept.
+ *
+ * @type WeakMap<JsonNode, Set<string>>
+ */
+const validSchemaValues = new WeakMap();
+const maxValidSchemaValues = 1_000;
 
-keywordHandlers.set("contains", (containsNode, instanceNode, schemaNode) => {
-  if (instanceNode.jsonType !== "array") {
-    return new Output(true, containsNode, instanceNode);
+/**
+ * Validate a schema against the meta-schema of its dialect. Registered
+ * schemas are validated the first time they are referenced.
+ *
+ * @type (schemaNode: JsonNode) => void
+ */
+const assertValidSchema = (schemaNode) => {
+  if (validatedSchemas.has(schemaNode)) {
+    return;
   }
+  validatedSchemas.add(schemaNode);
 
-  let minContains = 1;
-  if (jsonObjectHas("minContains", schemaNode)) {
-    const minContainsNode = jsonPointerStep("minContains", schemaNode);
-    if (minContainsNode.jsonType === "number") {
-      minContains = minContainsNode.value;
-    }
-  }
+  const schemaUri = baseUriOf(schemaNode);
+  vocabulariesOf(schemaUri); // Throws if the dialect isn't supported
+  const metaSchemaNode = getSchema(dialectOf(schemaUri), schemaUri);
 
-  let maxContains = Number.MAX_SAFE_INTEGER;
-  if (jsonObjectHas("maxContains", schemaNode)) {
-    const maxContainsNode = jsonPointerStep("maxContains", schemaNode);
-    if (maxContainsNode.jsonType === "number") {
-      maxContains = maxContainsNode.value;
-    }
+  const validValues = memoize(validSchemaValues, metaSchemaNode, () => new Set());
+  const schemaValue = `${shouldValidateFormat}:${jsonStringify(jsonValue(schemaNode))}`;
+  if (validValues.has(schemaValue)) {
+    return;
   }
 
-  let matches = 0;
-  for (const itemNode of instanceNode.children) {
-    const schemaOutput = validateSchema(containsNode, itemNode);
-    if (schemaOutput.valid) {
-      matches++;
-    }
+  // Meta-validation isn't part of the dynamic scope of the evaluation that
+  // referenced the schema
+  const outerDynamicScope = dynamicScope.splice(0);
+  const outerEvaluations = evaluations.splice(0);
+  let output;
+  try {
+    output = withShortCircuit(false, () => validateSchema(metaSchemaNode, schemaNode));
+  } catch (error) {
+    validatedSchemas.delete(schemaNode);
+    throw error;
+  } finally {
+    dynamicScope.splice(0, Infinity, ...outerDynamicScope);
+    evaluations.splice(0, Infinity, ...outerEvaluations);
   }
 
-  const isValid = matches >= minContains && matches <= maxContains;
-  return new Output(isValid, containsNode, instanceNode);
-});
+  if (!output.valid) {
+    validatedSchemas.delete(schemaNode);
+    throw new InvalidSchemaError(formatOutput(output, BASIC));
+  }
 
-keywordHandlers.set("dependentSchemas", (dependentSchemasNode, instanceNode) => {
-  if (instanceNode.jsonType !== "object") {
-    return new Output(true, dependentSchemasNode, instanceNode);
+  if (validValues.size >= maxValidSchemaValues) {
+    validValues.delete(/** @type string */ (validValues.values().next().value));
   }
+  validValues.add(schemaValue);
+};
 
-  assertNodeType(dependentSchemasNode, "object");
+/**
+ * Evaluate an instance against a schema. Custom applicator keywords can use
+ * this to evaluate their subschemas.
+ *
+ * @type (schemaNode: JsonNode, instanceNode: JsonNode) => Output
+ */
+export const validateSchema = (schemaNode, instanceNode) => {
+  if (schemaNode.type === "json") {
+    switch (schemaNode.jsonType) {
+      case "boolean":
+        const output = new Output(schemaNode.value, schemaNode, instanceNode);
+        if (!output.valid && registry.locale) {
+          output.error = errorMessage(registry.locale, { keyword: "false", keywordNode: schemaNode, schemaNode, instanceNode });
+        }
+        return output;
+      case "object":
+        enterEvaluation(schemaNode, instanceNode);
 
-  let isValid = true;
-  for (const propertyNode of dependentSchemasNode.children) {
-    const [keyNode, schemaNode] = propertyNode.children;
-    if (jsonObjectHas(keyNode.value, instanceNode)) {
-      const schemaOutput = validateSchema(schemaNode, instanceNode);
-      if (!schemaOutput.valid) {
-        isValid = false;
-      }
+        const schemaUri = baseUriOf(schemaNode);
+        const isNewScope = dynamicScope.at(-1) !== schemaUri;
+        if (isNewScope) {
+          dynamicScope.push(schemaUri);
+        }
+
+        // The evaluation is over even if something in it throws, so later
+        // evaluations don't see stale frames
+        try {
+          const vocabularies = vocabulariesOf(schemaUri);
+
+          // Before 2019-09, `$ref` replaces the rest of the schema
+          const propertyNodes = isRefOverride(schemaNode, dialectOf(schemaUri))
+            ? schemaNode.children.filter((propertyNode) => propertyNode.children[0].value === "$ref")
+            : schemaNode.children;
+
+          const errorMessageNode = registry.shouldUseErrorMessageKeyword && jsonObjectHas("errorMessage", schemaNode)
+            ? jsonPointerStep("errorMessage", schemaNode)
+            : undefined;
+
+          // The unevaluated keywords need every annotation from the other
+          // keywords, so evaluation within the schema can't stop early
+          const isShortCircuit = shortCircuit;
+          const needsAnnotations = propertyNodes.some((propertyNode) => unevaluatedKeywords.has(propertyNode.children[0].value));
+
+          let isValid = true;
+          /** @type Map<JsonPropertyNode, Output> */
+          const keywordOutputs = new Map();
+          withShortCircuit(isShortCircuit && !needsAnnotations, () => {
+            for (const propertyNode of inEvaluationOrder(propertyNodes)) {
+              const [keywordNode, keywordValueNode] = propertyNode.children;
+              const keywordHandler = enabledKeywordHandler(keywordNode.value, vocabularies);
+              if (keywordHandler) {
+                const keywordOutput = keywordHandler(keywordValueNode, instanceNode, schemaNode, [...keywordOutputs.values()]);
+                keywordOutputs.set(propertyNode, keywordOutput);
+                if (!keywordOutput.valid) {
+                  isValid = false;
+
+                  /** @type MessageContext */
+                  const context = { keyword: keywordNode.value, keywordNode: keywordValueNode, schemaNode, instanceNode };
+                  const schemaMessage = errorMessageNode && schemaErrorMessage(errorMessageNode, context);
+                  if (schemaMessage !== undefined) {
+                    keywordOutput.error = schemaMessage;
+                  } else if (registry.locale) {
+                    keywordOutput.error ??= errorMessage(registry.locale, context);
+                  }
+
+                  if (isShortCircuit) {
+                    break;
+                  }
+                }
+              }
+            }
+          });
+
+          const outputs = propertyNodes.flatMap((propertyNode) => keywordOutputs.get(propertyNode) ?? []);
+          return new Output(isValid, schemaNode, instanceNode, outputs);
+        } finally {
+          if (isNewScope) {
+            dynamicScope.pop();
+          }
+          evaluations.pop();
+        }
     }
   }
 
-  return new Output(isValid, dependentSchemasNode, instanceNode);
-});
+  throw Error("Invalid Schema");
+};
 
-keywordHandlers.set("then", (thenNode, instanceNode, schemaNode) => {
-  if (jsonObjectHas("if", schemaNode)) {
-    const ifNode = jsonPointerStep("if", schemaNode);
-    const schemaOutput = validateSchema(ifNode, instanceNode);
-    if (schemaOutput.valid) {
-      return validateSchema(thenNode, instanceNode);
-    }
+/**
+ * Keywords that use the outputs of other keywords in the same schema and the
+ * order they're evaluated in after the other keywords.
+ *
+ * @type Map<string, number>
+ */
+const dependentKeywordOrder = new Map([
+  ["then", 1],
+  ["else", 1],
+  ["unevaluatedProperties", 2],
+  ["unevaluatedItems", 2]
+]);
+
+/**
+ * Keywords are evaluated in the order they appear in the schema except that
+ * dependent keywords are evaluated after the keywords they depend on. Outputs
+ * are still in the order the keywords appear.
+ *
+ * @type (propertyNodes: JsonPropertyNode[]) => JsonPropertyNode[]
+ */
+const inEvaluationOrder = (propertyNodes) => {
+  return [...propertyNodes].sort((a, b) => {
+    return (dependentKeywordOrder.get(a.children[0].value) ?? 0) - (dependentKeywordOrder.get(b.children[0].value) ?? 0);
+  });
+};
+
+const dialectUri = "https://json-schema.org/draft/2020-12/schema";
+const draft07DialectUri = "http://json-schema.org/draft-07/schema";
+const draft04DialectUri = "http://json-schema.org/draft-04/schema";
+
+const formatAnnotationVocabularyUri = "https://json-schema.org/draft/2020-12/vocab/format-annotation";
+const formatAssertionVocabularyUri = "https://json-schema.org/draft/2020-12/vocab/format-assertion";
+
+/** @type Map<string, string[]> */
+const vocabularyKeywords = new Map([
+  ["https://json-schema.org/draft/2020-12/vocab/core", [
+    "$id", "$schema", "$ref", "$anchor", "$dynamicRef", "$dynamicAnchor", "$vocabulary", "$comment", "$defs"
+  ]],
+  ["https://json-schema.org/draft/2020-12/vocab/applicator", [
+    "prefixItems", "items", "contains", "additionalProperties", "properties", "patternProperties",
+    "dependentSchemas", "propertyNames", "if", "then", "else", "allOf", "anyOf", "oneOf", "not"
+  ]],
+  ["https://json-schema.org/draft/2020-12/vocab/unevaluated", [
+    "unevaluatedItems", "unevaluatedProperties"
+  ]],
+  ["https://json-schema.org/draft/2020-12/vocab/validation", [
+    "type", "const", "enum", "multipleOf", "maximum", "exclusiveMaximum", "minimum", "exclusiveMinimum",
+    "maxLength", "minLength", "pattern", "maxItems", "minItems", "uniqueItems", "maxContains",
+    "minContains", "maxProperties", "minProperties", "required", "dependentRequired"
+  ]],
+  ["https://json-schema.org/draft/2020-12/vocab/meta-data", [
+    "title", "description", "default", "deprecated", "readOnly", "writeOnly", "examples"
+  ]],
+  [formatAnnotationVocabularyUri, ["format"]],
+  [formatAssertionVocabularyUri, ["format"]],
+  ["https://json-schema.org/draft/2020-12/vocab/content", [
+    "contentEncoding", "contentMediaType", "contentSchema"
+  ]],
+
+  // Dialects from before vocabularies existed are treated as a single
+  // vocabulary identified by the dialect URI
+  [draft07DialectUri, [
+    "$id", "$schema", "$ref", "$comment", "definitions", "title", "description", "default", "readOnly",
+    "writeOnly", "examples", "multipleOf", "maximum", "exclusiveMaximum", "minimum", "exclusiveMinimum",
+    "maxLength", "minLength", "pattern", "additionalItems", "items", "maxItems", "minItems", "uniqueItems",
+    "contains", "maxProperties", "minProperties", "required", "additionalProperties", "properties",
+    "patternProperties", "dependencies", "propertyNames", "const", "enum", "type", "format",
+    "contentMediaType", "contentEncoding", "if", "then", "else", "allOf", "anyOf", "oneOf", "not"
+  ]],
+  [draft04DialectUri, [
+    "id", "$schema", "$ref", "definitions", "title", "description", "default", "multipleOf", "maximum",
+    "exclusiveMaximum", "minimum", "exclusiveMinimum", "maxLength", "minLength", "pattern",
+    "additionalItems", "items", "maxItems", "minItems", "uniqueItems", "maxProperties", "minProperties",
+    "required", "additionalProperties", "properties", "patternProperties", "dependencies", "enum", "type",
+    "format", "allOf", "anyOf", "oneOf", "not"
+  ]]
+]);
+
+const legacyDialectUris = new Set([draft07DialectUri, draft04DialectUri]);
+
+/**
+ * The vocabularies that define each keyword. Keywords that aren't part of
+ * any vocabulary (such as custom keywords) are enabled in every dialect.
+ *
+ * @type Map<string, string[]>
+ */
+const keywordVocabularies = new Map();
+for (const [vocabularyUri, keywords] of vocabularyKeywords) {
+  for (const keyword of keywords) {
+    keywordVocabularies.set(keyword, [...keywordVocabularies.get(keyword) ?? [], vocabularyUri]);
   }
+}
 
-  return new Output(true, thenNode, instanceNode);
-});
+/** @type Set<string> */
+const defaultVocabularies = new Set([...vocabularyKeywords.keys()]
+  .filter((vocabularyUri) => vocabularyUri !== formatAssertionVocabularyUri && !legacyDialectUris.has(vocabularyUri)));
 
-keywordHandlers.set("else", (elseNode, instanceNode, schemaNode) => {
-  if (jsonObjectHas("if", schemaNode)) {
-    const ifNode = jsonPointerStep("if", schemaNode);
-    const schemaOutput = validateSchema(ifNode, instanceNode);
-    if (!schemaOutput.valid) {
-      return validateSchema(elseNode, instanceNode);
-    }
+/**
+ * Keyword handlers that replace the default handler of a keyword in a
+ * vocabulary where the keyword has different semantics.
+ *
+ * @type Map<string, Map<string, KeywordHandler>>
+ */
+const vocabularyKeywordHandlers = new Map();
+
+/**
+ * The vocabularies of a dialect come from the `$vocabulary` keyword of its
+ * meta-schema. Unknown vocabularies are ignored if they are optional and an
+ * error if they are required.
+ *
+ * @type (metaSchemaUri: string) => Set<string>
+ */
+const dialectVocabularies = (metaSchemaUri) => {
+  if (metaSchemaUri === dialectUri) {
+    return defaultVocabularies;
+  } else if (legacyDialectUris.has(metaSchemaUri)) {
+    return new Set([metaSchemaUri]);
   }
 
-  return new Output(true, elseNode, instanceNode);
-});
+  const metaSchemaNode = registry.schemas.get(metaSchemaUri);
+  if (!metaSchemaNode) {
+    throw Error(`Dialect '${metaSchemaUri}' is not supported. Use 2020-12, draft-07, or draft-04 or register its meta-schema.`);
+  }
 
-keywordHandlers.set("items", (itemsNode, instanceNode, schemaNode) => {
-  if (instanceNode.jsonType !== "array") {
-    return new Output(true, itemsNode, instanceNode);
+  if (metaSchemaNode.jsonType !== "object" || !jsonObjectHas("$vocabulary", metaSchemaNode)) {
+    throw Error(`Dialect '${metaSchemaUri}' is not supported. Its meta-schema doesn't declare a '$vocabulary'.`);
   }
 
-  let numberOfPrefixItems = 0;
-  if (jsonObjectHas("prefixItems", schemaNode)) {
-    const prefixItemsNode = jsonPointerStep("prefixItems", schemaNode);
-    if (prefixItemsNode.jsonType === "array") {
-      numberOfPrefixItems = prefixItemsNode.children.length;
+  const vocabularyNode = jsonPointerStep("$vocabulary", metaSchemaNode);
+  assertNodeType(vocabularyNode, "object");
+
+  /** @type Set<string> */
+  const vocabularies = new Set();
+  for (const propertyNode of vocabularyNode.children) {
+    const [vocabularyUriNode, isRequiredNode] = propertyNode.children;
+    if (vocabularyKeywords.has(vocabularyUriNode.value) && !legacyDialectUris.has(vocabularyUriNode.value)) {
+      vocabularies.add(vocabularyUriNode.value);
+    } else if (isRequiredNode.jsonType === "boolean" && isRequiredNode.value) {
+      throw Error(`Dialect '${metaSchemaUri}' requires the unknown vocabulary '${vocabularyUriNode.value}'`);
     }
   }
 
-  let isValid = true;
-  for (const itemNode of instanceNode.children.slice(numberOfPrefixItems)) {
-    const schemaOutput = validateSchema(itemsNode, itemNode);
-    if (!schemaOutput.valid) {
-      isValid = false;
-    }
+  return vocabularies;
+};
+
+/**
+ * The vocabularies of each schema resource evaluated so far in the current
+ * evaluation.
+ *
+ * @type Map<string, Set<string>>
+ */
+const resourceVocabularies = new Map();
+
+/** @type (schemaUri: string) => Set<string> */
+const vocabulariesOf = (schemaUri) => {
+  let vocabularies = resourceVocabularies.get(schemaUri);
+  if (!vocabularies) {
+    vocabularies = dialectVocabularies(dialectOf(schemaUri));
+    resourceVocabularies.set(schemaUri, vocabularies);
   }
 
-  return new Output(isValid, itemsNode, instanceNode);
-});
+  return vocabularies;
+};
 
-keywordHandlers.set("patternProperties", (patternPropertiesNode, instanceNode) => {
-  if (instanceNode.jsonType !== "object") {
-    return new Output(true, patternPropertiesNode, instanceNode);
+/** @type (schemaUri: string) => string */
+const dialectOf = (schemaUri) => registry.dialects.get(schemaUri) ?? dialectUri;
+
+/** @type (keyword: string, vocabularies: Set<string>) => KeywordHandler | undefined */
+const enabledKeywordHandler = (keyword, vocabularies) => {
+  const keywordVocabularyUris = keywordVocabularies.get(keyword);
+  if (keywordVocabularyUris && !keywordVocabularyUris.some((vocabularyUri) => vocabularies.has(vocabularyUri))) {
+    return;
   }
 
-  assertNodeType(patternPropertiesNode, "object");
+  for (const vocabularyUri of vocabularies) {
+    const keywordHandler = vocabularyKeywordHandlers.get(vocabularyUri)?.get(keyword);
+    if (keywordHandler) {
+      return keywordHandler;
+    }
+  }
 
-  let isValid = true;
-  for (const propertyNode of patternPropertiesNode.children) {
-    const [patternNode, patternSchemaNode] = propertyNode.children;
-    const pattern = new RegExp(patternNode.value, "u");
+  return keywordHandlers.get(keyword);
+};
+
+/** @type (schemaNode: JsonObjectNode, dialect: string) => boolean */
+const isRefOverride = (schemaNode, dialect) => legacyDialectUris.has(dialect) && jsonObjectHas("$ref", schemaNode);
+
+let shouldValidateFormat = false;
+
+/**
+ * Enable or disable `format` assertion for dialects that don't include the
+ * format-assertion vocabulary. By default, `format` only produces an
+ * annotation.
+ *
+ * @type (isEnabled: boolean) => void
+ */
+export const setShouldValidateFormat = (isEnabled) => {
+  shouldValidateFormat = isEnabled;
+};
+
+/**
+ * Enable or disable the `errorMessage` keyword for the schemas in the default
+ * registry. When enabled, a schema's `errorMessage` replaces the `error`
+ * message of its failing keywords. By default, `errorMessage` is an unknown
+ * keyword and is ignored.
+ *
+ * @type (isEnabled: boolean) => void
+ */
+export const setShouldUseErrorMessageKeyword = (isEnabled) => {
+  registry.shouldUseErrorMessageKeyword = isEnabled;
+};
+
+/**
+ * Set the locale of the `error` messages added to the output of failing
+ * keywords when validating with the default registry, or `undefined` to not
+ * add messages. By default, there are no messages.
+ *
+ * @type (locale: string | undefined) => void
+ */
+export const setLocale = (locale) => {
+  registry.locale = locale;
+};
+
+/**
+ * When only the validation result is needed (Flag output), evaluation stops as
+ * soon as the result is decided. Outputs are incomplete in this mode, so it's
+ * turned off wherever errors or annotations are needed.
+ */
+let shortCircuit = false;
+
+/** @type <A>(isEnabled: boolean, evaluate: () => A) => A */
+const withShortCircuit = (isEnabled, evaluate) => {
+  const outerShortCircuit = shortCircuit;
+  shortCircuit = isEnabled;
+
+  try {
+    return evaluate();
+  } finally {
+    shortCircuit = outerShortCircuit;
+  }
+};
+
+/**
+ * The URIs of the schema resources that have been entered to reach the schema
+ * currently being evaluated, starting with the outermost.
+ *
+ * @type string[]
+ */
+const dynamicScope = [];
+
+/**
+ * The locations of the schemas being evaluated and the instance each one is
+ * evaluating, starting with the outermost.
+ *
+ * @type [string, string][]
+ */
+const evaluations = [];
+
+/**
+ * A schema that is evaluated again for the same instance location while it's
+ * already being evaluated for it, such as through `$ref`s that refer to each
+ * other, would be evaluated forever.
+ *
+ * @type (schemaNode: JsonNode, instanceNode: JsonNode) => void
+ */
+const enterEvaluation = (schemaNode, instanceNode) => {
+  const loopStart = evaluations.findIndex(([schemaLocation, instanceLocation]) => {
+    return schemaLocation === schemaNode.location && instanceLocation === instanceNode.location;
+  });
+  if (loopStart !== -1) {
+    const loop = [...evaluations.slice(loopStart).map(([schemaLocation]) => schemaLocation), schemaNode.location];
+    throw Error(`Infinite loop evaluating instance location '${instanceNode.location}': ${loop.join(" -> ")}`);
+  }
+
+  evaluations.push([schemaNode.location, instanceNode.location]);
+};
+
+/**
+ * Schemas are registered by the URI of each schema resource and by the URI of
+ * each anchor (`{resource-uri}#{anchor}`). The dialect of each schema resource
+ * is kept with it. An embedded schema resource without a `$schema` has the
+ * same dialect as the resource it's embedded in. Each registration is kept by
+ * its schema so it can be unregistered with the resources and anchors in it.
+ * The message settings are kept with the registry so users of one registry
+ * can't change the messages another registry produces.
+ *
+ * @typedef {{
+ *   schemas: Map<string, JsonNode>;
+ *   dialects: Map<string, string>;
+ *   registrations: Map<JsonNode, IdentifiedSchema[]>;
+ *   locale?: string;
+ *   shouldUseErrorMessageKeyword: boolean;
+ * }} RegistryState
+ */
+
+/** @type () => RegistryState */
+const emptyRegistry = () => ({
+  schemas: new Map(),
+  dialects: new Map(),
+  registrations: new Map(),
+  shouldUseErrorMessageKeyword: false
+});
+
+/**
+ * The registry schemas are registered in and looked up from. This is the
+ * default registry except while a registry from `createRegistry` is in use.
+ *
+ * @type RegistryState
+ */
+let registry = emptyRegistry();
+
+/** @type <A>(schemaRegistry: RegistryState, evaluate: () => A) => A */
+const withRegistry = (schemaRegistry, evaluate) => {
+  const outerRegistry = registry;
+  registry = schemaRegistry;
+  resourceVocabularies.clear();
+
+  try {
+    return evaluate();
+  } finally {
+    registry = outerRegistry;
+    resourceVocabularies.clear();
+  }
+};
+
+/**
+ * A schema registry and the functions that use it. Each registry has its own
+ * message settings. Other settings, such as format validation and custom
+ * keywords, are shared by all registries.
+ *
+ * @typedef {{
+ *   validate: typeof validate;
+ *   validateAsync: typeof validateAsync;
+ *   compile: typeof compile;
+ *   generateStandaloneValidator: typeof generateStandaloneValidator;
+ *   registerSchema: typeof registerSchema;
+ *   registerSchemaFiles: typeof registerSchemaFiles;
+ *   unregisterSchema: typeof unregisterSchema;
+ *   hasSchema: typeof hasSchema;
+ *   listSchemas: typeof listSchemas;
+ *   bundle: typeof bundle;
+ *   dereference: typeof dereference;
+ *   setLocale: typeof setLocale;
+ *   setShouldUseErrorMessageKeyword: typeof setShouldUseErrorMessageKeyword;
+ * }} Registry
+ */
+
+/**
+ * Create a registry that is isolated from the default registry used by the
+ * top-level functions and from any other registry. It starts with only the
+ * meta-schemas of the supported dialects and without messages.
+ *
+ * @type () => Registry
+ */
+export const createRegistry = () => {
+  const schemaRegistry = emptyRegistry();
+  withRegistry(schemaRegistry, () => {
+    addSchemas(builtInSchemas);
+  });
+
+  return {
+    validate: (schema, instance, outputFormat) => {
+      return withRegistry(schemaRegistry, () => validate(schema, instance, outputFormat));
+    },
+    validateAsync: (schema, instance, outputFormat, retrieve) => {
+      return withRegistry(schemaRegistry, () => validateAsync(schema, instance, outputFormat, retrieve));
+    },
+    compile: (schema) => withRegistry(schemaRegistry, () => compile(schema)),
+    generateStandaloneValidator: (schema) => {
+      return withRegistry(schemaRegistry, () => generateStandaloneValidator(schema));
+    },
+    registerSchema: (schema, uri, defaultDialectUri) => {
+      withRegistry(schemaRegistry, () => {
+        registerSchema(schema, uri, defaultDialectUri);
+      });
+    },
+    registerSchemaFiles: (path, defaultDialectUri) => {
+      withRegistry(schemaRegistry, () => {
+        registerSchemaFiles(path, defaultDialectUri);
+      });
+    },
+    unregisterSchema: (uri) => {
+      withRegistry(schemaRegistry, () => {
+        unregisterSchema(uri);
+      });
+    },
+    hasSchema: (uri) => withRegistry(schemaRegistry, () => hasSchema(uri)),
+    listSchemas: () => withRegistry(schemaRegistry, () => listSchemas()),
+    bundle: (uri) => withRegistry(schemaRegistry, () => bundle(uri)),
+    dereference: (uri) => withRegistry(schemaRegistry, () => dereference(uri)),
+    setLocale: (locale) => {
+      withRegistry(schemaRegistry, () => {
+        setLocale(locale);
+      });
+    },
+    setShouldUseErrorMessageKeyword: (isEnabled) => {
+      withRegistry(schemaRegistry, () => {
+        setShouldUseErrorMessageKeyword(isEnabled);
+      });
+    }
+  };
+};
+
+/**
+ * Register a schema by URI. If the schema doesn't declare a `$schema`, it's
+ * assumed to use the dialect identified by `defaultDialectUri`. Registering a
+ * schema with the URI of a registered schema replaces it.
+ *
+ * @type (schema: Json | JsonNode, uri: string, defaultDialectUri?: string) => void
+ */
+export const registerSchema = (schema, uri, defaultDialectUri = dialectUri) => {
+  const schemas = identifySchemas(schema, uri, withoutFragment(defaultDialectUri));
+
+  // A schema with a loop doesn't replace the schema registered with its URI
+  withSchemas(schemas, () => {
+    assertNoInfiniteLoops(schemas[0][1]);
+  });
+
+  addRegistration(schemas);
+};
+
+/**
+ * Unregister a schema by the URI it was registered with or its `$id`. The
+ * schema resources and anchors within it are unregistered too. URIs that
+ * weren't registered, such as the meta-schemas of the supported dialects, are
+ * ignored.
+ *
+ * @type (uri: string) => void
+ */
+export const unregisterSchema = (uri) => {
+  const schemaNode = registry.schemas.get(withoutFragment(uri));
+  const schemas = schemaNode && registry.registrations.get(schemaNode);
+  if (schemaNode && schemas) {
+    removeSchemas(schemas.filter(isRegistered));
+    registry.registrations.delete(schemaNode);
+  }
+};
+
+/**
+ * Whether a URI refers to a registered schema. The URI's fragment can be
+ * either a JSON Pointer or an anchor.
+ *
+ * @type (uri: string) => boolean
+ */
+export const hasSchema = (uri) => registeredSchema(uri) !== undefined;
+
+/**
+ * The URIs of the registered schemas and the schema resources within them, not
+ * including anchors or the meta-schemas of the supported dialects.
+ *
+ * @type () => string[]
+ */
+export const listSchemas = () => {
+  /** @type Set<string> */
+  const uris = new Set();
+  for (const schemas of registry.registrations.values()) {
+    for (const identifiedSchema of schemas) {
+      if (!identifiedSchema[0].includes("#") && isRegistered(identifiedSchema)) {
+        uris.add(identifiedSchema[0]);
+      }
+    }
+  }
+
+  return [...uris];
+};
+
+/**
+ * Register a schema file or every `.json`, `.yaml`, and `.yml` file in a
+ * directory tree. Each schema is registered by its `file:` URI in addition to
+ * its `$id`.
+ *
+ * @type (path: string, defaultDialectUri?: string) => void
+ */
+export const registerSchemaFiles = (path, defaultDialectUri = dialectUri) => {
+  const absolutePath = resolve(path);
+  if (!existsSync(absolutePath)) {
+    throw Error(`Schema file not found: ${absolutePath}`);
+  }
+
+  if (statSync(absolutePath).isDirectory()) {
+    for (const entry of readdirSync(absolutePath, { withFileTypes: true })) {
+      if (entry.isDirectory() || isSchemaFileName(entry.name)) {
+        registerSchemaFiles(join(absolutePath, entry.name), defaultDialectUri);
+      }
+    }
+  } else {
+    registerSchema(readSchemaFile(absolutePath), pathToFileURL(absolutePath).href, defaultDialectUri);
+  }
+};
+
+/** @type (path: string) => boolean */
+const isYamlFileName = (path) => path.endsWith(".yaml") || path.endsWith(".yml");
+
+/** @type (path: string) => boolean */
+const isSchemaFileName = (path) => path.endsWith(".json") || isYamlFileName(path);
+
+/**
+ * Schema files are parsed with their source positions so errors can be traced
+ * back to the file. Files named `*.yaml` or `*.yml` are YAML and any other
+ * file is JSON.
+ *
+ * @type (path: string) => JsonNode
+ */
+const readSchemaFile = (path) => {
+  if (!existsSync(path)) {
+    throw Error(`Schema file not found: ${path}`);
+  }
+
+  const [parse, format] = isYamlFileName(path) ? [parseYaml, "YAML"] : [parseJson, "JSON"];
+  try {
+    return parse(readFileSync(path, "utf8"));
+  } catch (error) {
+    throw Error(`Invalid ${format} in schema file ${path}: ${/** @type Error */ (error).message}`);
+  }
+};
+
+/**
+ * A URI that identifies a schema, the schema, and the dialect of the schema
+ * resource it belongs to.
+ *
+ * @typedef {[string, JsonNode, string]} IdentifiedSchema
+ */
+
+/**
+ * Register a schema and any schema resources and anchors within it. Returns
+ * what was registered.
+ *
+ * @type (schema: Json | JsonNode, retrievalUri: string, defaultDialectUri?: string) => IdentifiedSchema[]
+ */
+const addSchema = (schema, retrievalUri, defaultDialectUri = dialectUri) => {
+  const schemas = identifySchemas(schema, retrievalUri, defaultDialectUri);
+  addRegistration(schemas);
+  return schemas;
+};
+
+/**
+ * A registration is forgotten once everything it registered has been replaced
+ * by other registrations.
+ *
+ * @type (schemas: IdentifiedSchema[]) => void
+ */
+const addRegistration = (schemas) => {
+  const replacedSchemaNodes = schemas.map(([uri]) => registry.schemas.get(uri));
+  addSchemas(schemas);
+  registry.registrations.set(schemas[0][1], schemas);
+
+  for (const schemaNode of replacedSchemaNodes) {
+    const replacedSchemas = schemaNode && registry.registrations.get(schemaNode);
+    if (schemaNode && replacedSchemas && !replacedSchemas.some(isRegistered)) {
+      registry.registrations.delete(schemaNode);
+    }
+  }
+};
+
+/** @type (identifiedSchema: IdentifiedSchema) => boolean */
+const isRegistered = ([uri, schemaNode]) => registry.schemas.get(uri) === schemaNode;
+
+/**
+ * Parse a schema and find the schema resources and anchors within it. The
+ * first result is the schema itself identified by its retrieval URI.
+ *
+ * @type (schema: Json | JsonNode, retrievalUri: string, defaultDialectUri: string) => IdentifiedSchema[]
+ */
+const identifySchemas = (schema, retrievalUri, defaultDialectUri) => {
+  const schemaNode = jsonNodeFrom(schema, retrievalUri);
+  const dialect = schemaDialect(schemaNode, defaultDialectUri);
+  return [[retrievalUri, schemaNode, dialect], ...identifiedSchemas(schemaNode, retrievalUri, dialect)];
+};
+
+/** @type (schemas: IdentifiedSchema[]) => void */
+const addSchemas = (schemas) => {
+  for (const [uri, schemaNode, dialect] of schemas) {
+    registry.schemas.set(uri, schemaNode);
+    registry.dialects.set(uri, dialect);
+  }
+};
+
+/** @type (schemas: IdentifiedSchema[]) => void */
+const removeSchemas = (schemas) => {
+  for (const [uri] of schemas) {
+    registry.schemas.delete(uri);
+    registry.dialects.delete(uri);
+  }
+};
+
+/**
+ * Schema resources and anchors within a schema along with the dialect of the
+ * schema resource they belong to.
+ *
+ * @type (schemaNode: JsonNode, baseUri: string, dialect: string) => Generator<IdentifiedSchema>
+ */
+const identifiedSchemas = function* (schemaNode, baseUri, dialect) {
+  if (schemaNode.jsonType === "object" && !isRefOverride(schemaNode, dialect)) {
+    const idKeyword = dialect === draft04DialectUri ? "id" : "$id";
+    if (jsonObjectHas(idKeyword, schemaNode)) {
+      const idNode = jsonPointerStep(idKeyword, schemaNode);
+      if (idNode.jsonType === "string") {
+        const id = resolveReference(idNode.value, baseUri);
+        if (withoutFragment(id) !== baseUri) {
+          baseUri = withoutFragment(id);
+          dialect = schemaDialect(schemaNode, dialect);
+          relocate(schemaNode, baseUri);
+          yield [baseUri, schemaNode, dialect];
+        }
+
+        // Before 2019-09, an identifier with a fragment is an anchor
+        const anchor = fragmentOf(id);
+        if (legacyDialectUris.has(dialect) && anchor !== "") {
+          yield [`${baseUri}#${anchor}`, schemaNode, dialect];
+        }
+      }
+    }
+
+    if (jsonObjectHas("$anchor", schemaNode)) {
+      const anchorNode = jsonPointerStep("$anchor", schemaNode);
+      if (anchorNode.jsonType === "string") {
+        yield [`${baseUri}#${anchorNode.value}`, schemaNode, dialect];
+      }
+    }
+
+    // A dynamic anchor is also a plain anchor
+    if (jsonObjectHas("$dynamicAnchor", schemaNode)) {
+      const dynamicAnchorNode = jsonPointerStep("$dynamicAnchor", schemaNode);
+      if (dynamicAnchorNode.jsonType === "string") {
+        yield [`${baseUri}#${dynamicAnchorNode.value}`, schemaNode, dialect];
+      }
+    }
+  }
+
+  for (const subschemaNode of subschemas(schemaNode)) {
+    yield* identifiedSchemas(subschemaNode, baseUri, dialect);
+  }
+};
+
+/** @type (schemaNode: JsonNode, defaultDialect: string) => string */
+const schemaDialect = (schemaNode, defaultDialect) => {
+  if (schemaNode.jsonType === "object" && jsonObjectHas("$schema", schemaNode)) {
+    const $schemaNode = jsonPointerStep("$schema", schemaNode);
+    if ($schemaNode.jsonType === "string") {
+      return withoutFragment($schemaNode.value);
+    }
+  }
+
+  return defaultDialect;
+};
+
+/**
+ * Nodes in an embedded schema resource are identified relative to that
+ * resource rather than the document they are embedded in.
+ *
+ * @type (node: JsonNode, uri: string, pointer?: string) => void
+ */
+const relocate = (node, uri, pointer = "") => {
+  node.location = `${uri}#${pointer}`;
+
+  switch (node.jsonType) {
+    case "array":
+      node.children.forEach((itemNode, index) => {
+        relocate(itemNode, uri, JsonPointer.append(`${index}`, pointer));
+      });
+      break;
+    case "object":
+      for (const propertyNode of node.children) {
+        const [propertyNameNode, propertyValueNode] = propertyNode.children;
+        relocate(propertyValueNode, uri, JsonPointer.append(propertyNameNode.value, pointer));
+      }
+      break;
+  }
+};
+
+const subschemaKeywords = new Set([
+  "additionalItems",
+  "additionalProperties",
+  "contains",
+  "else",
+  "if",
+  "items",
+  "not",
+  "propertyNames",
+  "then",
+  "unevaluatedItems",
+  "unevaluatedProperties"
+]);
+
+// Before 2020-12, `items` can also be an array of schemas
+const subschemaArrayKeywords = new Set(["allOf", "anyOf", "items", "oneOf", "prefixItems"]);
+
+const subschemaObjectKeywords = new Set([
+  "$defs",
+  "definitions",
+  "dependencies",
+  "dependentSchemas",
+  "patternProperties",
+  "properties"
+]);
+
+/**
+ * The subschemas directly within a schema. Values of unknown keywords and
+ * keywords that don't take schemas (such as `const`) are not schemas even if
+ * they look like one.
+ *
+ * @type (schemaNode: JsonNode) => Generator<JsonNode>
+ */
+const subschemas = function* (schemaNode) {
+  if (schemaNode.jsonType !== "object") {
+    return;
+  }
+
+  for (const propertyNode of schemaNode.children) {
+    const [keywordNode, keywordValueNode] = propertyNode.children;
+    if (subschemaArrayKeywords.has(keywordNode.value) && keywordValueNode.jsonType === "array") {
+      yield* keywordValueNode.children;
+    } else if (subschemaKeywords.has(keywordNode.value)) {
+      yield keywordValueNode;
+    } else if (subschemaObjectKeywords.has(keywordNode.value) && keywordValueNode.jsonType === "object") {
+      for (const subschemaPropertyNode of keywordValueNode.children) {
+        yield subschemaPropertyNode.children[1];
+      }
+    }
+  }
+};
+
+/**
+ * A schema and all of its subschemas.
+ *
+ * @type (schemaNode: JsonNode) => Generator<JsonNode>
+ */
+const schemaNodes = function* (schemaNode) {
+  yield schemaNode;
+
+  for (const subschemaNode of subschemas(schemaNode)) {
+    yield* schemaNodes(subschemaNode);
+  }
+};
+
+// In-place applicators evaluate their subschemas against the same instance as
+// the schema they are in
+const inPlaceKeywords = new Set(["else", "if", "not", "then"]);
+const inPlaceArrayKeywords = new Set(["allOf", "anyOf", "oneOf"]);
+const inPlaceObjectKeywords = new Set(["dependencies", "dependentSchemas"]);
+
+/**
+ * The schemas that evaluate the same instance as a schema: its in-place
+ * applicator subschemas and the schema its `$ref` refers to. A `$ref` to a
+ * schema that isn't registered yet is skipped. `$dynamicRef` depends on where
+ * evaluation started, so it can't be followed here.
+ *
+ * @type (schemaNode: JsonNode) => Generator<JsonNode>
+ */
+const inPlaceSchemas = function* (schemaNode) {
+  if (schemaNode.jsonType !== "object") {
+    return;
+  }
+
+  const isRefOnly = isRefOverride(schemaNode, dialectOf(baseUriOf(schemaNode)));
+  for (const propertyNode of schemaNode.children) {
+    const [keywordNode, keywordValueNode] = propertyNode.children;
+    if (keywordNode.value === "$ref") {
+      if (keywordValueNode.jsonType === "string") {
+        const referencedSchemaNode = registeredSchema(resolveReference(keywordValueNode.value, baseUriOf(keywordValueNode)));
+        if (referencedSchemaNode) {
+          yield referencedSchemaNode;
+        }
+      }
+    } else if (isRefOnly) {
+      continue;
+    } else if (inPlaceArrayKeywords.has(keywordNode.value) && keywordValueNode.jsonType === "array") {
+      yield* keywordValueNode.children;
+    } else if (inPlaceKeywords.has(keywordNode.value)) {
+      yield keywordValueNode;
+    } else if (inPlaceObjectKeywords.has(keywordNode.value) && keywordValueNode.jsonType === "object") {
+      for (const subschemaPropertyNode of keywordValueNode.children) {
+        const subschemaNode = subschemaPropertyNode.children[1];
+        // Before 2019-09, a dependency can also be a list of property names
+        if (subschemaNode.jsonType !== "array") {
+          yield subschemaNode;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Following `$ref`s and in-place applicators from a schema back to the same
+ * schema means evaluating it would never end, because no part of the instance
+ * is evaluated along the way. Every schema in the registered schema is checked
+ * because any of them can be referenced.
+ *
+ * @type (schemaNode: JsonNode) => void
+ */
+const assertNoInfiniteLoops = (schemaNode) => {
+  /** @type Set<JsonNode> */
+  const checkedSchemaNodes = new Set();
+  for (const node of schemaNodes(schemaNode)) {
+    assertNoLoopFrom(node, [], checkedSchemaNodes);
+  }
+};
+
+/** @type (schemaNode: JsonNode, path: JsonNode[], checkedSchemaNodes: Set<JsonNode>) => void */
+const assertNoLoopFrom = (schemaNode, path, checkedSchemaNodes) => {
+  if (checkedSchemaNodes.has(schemaNode)) {
+    return;
+  }
+
+  const loopStart = path.indexOf(schemaNode);
+  if (loopStart !== -1) {
+    const loop = [...path.slice(loopStart), schemaNode].map((node) => node.location);
+    throw Error(`Infinite loop in schema: ${loop.join(" -> ")}`);
+  }
+
+  path.push(schemaNode);
+  for (const inPlaceSchemaNode of inPlaceSchemas(schemaNode)) {
+    assertNoLoopFrom(inPlaceSchemaNode, path, checkedSchemaNodes);
+  }
+  path.pop();
+
+  checkedSchemaNodes.add(schemaNode);
+};
+
+/**
+ * The schema a URI refers to if it's registered. Unlike `getSchema`, schema
+ * files aren't read and the schema isn't validated.
+ *
+ * @type (uri: string) => JsonNode | undefined
+ */
+const registeredSchema = (uri) => {
+  const fragment = fragmentOf(uri);
+  const schemaUri = withoutFragment(uri);
+  const schemaNode = registry.schemas.get(schemaUri);
+
+  if (!schemaNode || fragment === "") {
+    return schemaNode;
+  } else if (!fragment.startsWith("/")) {
+    return registry.schemas.get(`${schemaUri}#${fragment}`);
+  }
+
+  try {
+    return jsonPointerGet(fragment, schemaNode, schemaUri);
+  } catch {
+    return;
+  }
+};
+
+/**
+ * The schema resources referenced by a schema and its subschemas, including
+ * the meta-schemas of their dialects, along with the URI of the schema
+ * resource the reference is in. Only references in the given keywords are
+ * included.
+ *
+ * @type (schemaNode: JsonNode, keywords?: string[]) => Generator<[string, string]>
+ */
+const referencedSchemaUris = function* (schemaNode, keywords = ["$schema", "$ref", "$dynamicRef"]) {
+  if (schemaNode.jsonType === "object") {
+    for (const keyword of keywords) {
+      if (jsonObjectHas(keyword, schemaNode)) {
+        const referenceNode = jsonPointerStep(keyword, schemaNode);
+        if (referenceNode.jsonType === "string") {
+          const baseUri = baseUriOf(referenceNode);
+          yield [withoutFragment(resolveReference(referenceNode.value, baseUri)), baseUri];
+        }
+      }
+    }
+  }
+
+  for (const subschemaNode of subschemas(schemaNode)) {
+    yield* referencedSchemaUris(subschemaNode, keywords);
+  }
+};
+
+/**
+ * Get a registered schema by URI. The URI's fragment can be either a JSON
+ * Pointer or an anchor. The `baseUri` is the base URI of the reference, if the
+ * URI comes from one.
+ *
+ * @type (uri: string, baseUri?: string) => JsonNode
+ */
+const getSchema = (uri, baseUri = "") => {
+  const fragment = fragmentOf(uri);
+  const schemaUri = withoutFragment(uri);
+
+  // Schema files are read the first time they are referenced from another
+  // schema file. References from anywhere else, such as a schema that was
+  // retrieved, can't read files.
+  if (!registry.schemas.has(schemaUri) && schemaUri.startsWith("file:") && baseUri.startsWith("file:")) {
+    addSchema(readSchemaFile(fileURLToPath(schemaUri)), schemaUri, dialectOf(baseUri));
+  }
+
+  const schemaNode = registry.schemas.get(schemaUri);
+  if (!schemaNode) {
+    throw Error(`Invalid reference: ${schemaUri}`);
+  }
+
+  assertValidSchema(schemaNode);
+
+  if (fragment !== "" && !fragment.startsWith("/")) {
+    const anchoredSchemaNode = registry.schemas.get(`${schemaUri}#${fragment}`);
+    if (!anchoredSchemaNode) {
+      throw Error(`Invalid reference: ${uri}`);
+    }
+
+    return anchoredSchemaNode;
+  }
+
+  return jsonPointerGet(fragment, schemaNode, schemaUri);
+};
+
+/**
+ * A reference resolved to the schema it refers to. The `registeredNode` is
+ * what's registered by `registeredUri` when the reference was resolved: the
+ * schema resource for a JSON Pointer fragment or the anchored schema for an
+ * anchor.
+ *
+ * @typedef {{
+ *   uri: string;
+ *   schemaNode: JsonNode;
+ *   registeredUri: string;
+ *   registeredNode: JsonNode;
+ * }} ResolvedReference
+ */
+
+/** @type WeakMap<JsonNode, ResolvedReference> */
+const resolvedReferences = new WeakMap();
+
+/**
+ * Resolve a `$ref` or `$dynamicRef` once and reuse the result for every
+ * instance. The result is reused as long as the same schema is registered by
+ * the URI it was found with, so it's still correct after schemas are
+ * registered or unregistered and in any registry.
+ *
+ * @type (referenceNode: JsonStringNode) => ResolvedReference
+ */
+const resolveReferenceNode = (referenceNode) => {
+  const resolvedReference = resolvedReferences.get(referenceNode);
+  if (resolvedReference && registry.schemas.get(resolvedReference.registeredUri) === resolvedReference.registeredNode) {
+    return resolvedReference;
+  }
+
+  const baseUri = baseUriOf(referenceNode);
+  const uri = resolveReference(referenceNode.value, baseUri);
+  const schemaNode = getSchema(uri, baseUri);
+
+  const fragment = fragmentOf(uri);
+  const registeredUri = fragment === "" || fragment.startsWith("/")
+    ? withoutFragment(uri)
+    : `${withoutFragment(uri)}#${fragment}`;
+  const registeredNode = /** @type JsonNode */ (registry.schemas.get(registeredUri));
+
+  const newResolvedReference = { uri, schemaNode, registeredUri, registeredNode };
+  resolvedReferences.set(referenceNode, newResolvedReference);
+  return newResolvedReference;
+};
+
+/**
+ * Schemas without an identifier have no base URI. References from those
+ * schemas can only be resolved if they are fragment-only or absolute.
+ *
+ * @type (reference: string, baseUri: string) => string
+ */
+const resolveReference = (reference, baseUri) => {
+  return baseUri === "" ? reference : resolveIri(reference, baseUri);
+};
+
+/** @type (node: JsonNode) => string */
+const baseUriOf = (node) => withoutFragment(node.location);
+
+/** @type (uri: string) => string */
+const withoutFragment = (uri) => {
+  const fragmentIndex = uri.indexOf("#");
+  return fragmentIndex === -1 ? uri : uri.slice(0, fragmentIndex);
+};
+
+/** @type (uri: string) => string */
+const fragmentOf = (uri) => {
+  const fragmentIndex = uri.indexOf("#");
+  return fragmentIndex === -1 ? "" : decodeURI(uri.slice(fragmentIndex + 1));
+};
+
+/**
+ * Schemas don't change once they are parsed, so anything derived from a
+ * keyword value can be computed once and reused for every instance.
+ *
+ * @type <K extends object, A>(cache: WeakMap<K, A>, key: K, compute: () => A) => A
+ */
+const memoize = (cache, key, compute) => {
+  let value = cache.get(key);
+  if (value === undefined) {
+    value = compute();
+    cache.set(key, value);
+  }
+
+  return value;
+};
+
+/**
+ * The `siblingOutputs` are the outputs of the keywords in the same schema that
+ * were evaluated before this one.
+ *
+ * @typedef {(
+ *   keywordNode: JsonNode,
+ *   instanceNode: JsonNode,
+ *   schemaNode: JsonObjectNode,
+ *   siblingOutputs?: Output[]
+ * ) => Output} KeywordHandler
+ */
+
+/** @type Map<string, KeywordHandler> */
+const keywordHandlers = new Map();
+
+/**
+ * Add a custom keyword or replace the handler of an existing keyword. The
+ * handler replaces the keyword's handler in every dialect.
+ *
+ * @type (keyword: string, keywordHandler: KeywordHandler) => void
+ */
+export const addKeyword = (keyword, keywordHandler) => {
+  keywordHandlers.set(keyword, keywordHandler);
+  for (const dialectKeywordHandlers of vocabularyKeywordHandlers.values()) {
+    dialectKeywordHandlers.delete(keyword);
+  }
+
+  // Custom keywords can't be used in standalone validators
+  keywordGenerators.delete(keyword);
+  for (const dialectKeywordGenerators of vocabularyKeywordGenerators.values()) {
+    dialectKeywordGenerators.delete(keyword);
+  }
+};
+
+keywordHandlers.set("$ref", (refNode, instanceNode) => {
+  assertNodeType(refNode, "string");
+
+  const referencedSchemaNode = resolveReferenceNode(refNode).schemaNode;
+
+  const schemaOutput = validateSchema(referencedSchemaNode, instanceNode);
+  return new Output(schemaOutput.valid, refNode, instanceNode, [schemaOutput]);
+});
+
+keywordHandlers.set("additionalProperties", (additionalPropertiesNode, instanceNode, schemaNode) => {
+  if (instanceNode.jsonType !== "object") {
+    return new Output(true, additionalPropertiesNode, instanceNode);
+  }
+
+  const isDefinedProperty = memoize(definedPropertyPatterns, additionalPropertiesNode, () => {
+    return definedPropertyPattern(schemaNode);
+  });
+
+  let isValid = true;
+  const outputs = [];
+  const evaluatedProperties = [];
+  for (const propertyNode of instanceNode.children) {
+    const [propertyNameNode, instancePropertyNode] = propertyNode.children;
+    if (!isDefinedProperty.test(propertyNameNode.value)) {
+      const schemaOutput = validateSchema(additionalPropertiesNode, instancePropertyNode);
+      outputs.push(schemaOutput);
+      evaluatedProperties.push(propertyNameNode.value);
+      if (!schemaOutput.valid) {
+        isValid = false;
+        if (shortCircuit) {
+          break;
+        }
+      }
+    }
+  }
+
+  return new Output(isValid, additionalPropertiesNode, instanceNode, outputs, evaluatedProperties);
+});
+
+/** @type WeakMap<JsonNode, RegExp> */
+const definedPropertyPatterns = new WeakMap();
+
+/**
+ * A pattern that matches the properties that `properties` and
+ * `patternProperties` apply to.
+ *
+ * @type (schemaNode: JsonObjectNode) => RegExp
+ */
+const definedPropertyPattern = (schemaNode) => {
+  const propertyPatterns = [];
+
+  if (jsonObjectHas("properties", schemaNode)) {
+    const propertiesNode = jsonPointerStep("properties", schemaNode);
+    if (propertiesNode.jsonType === "object") {
+      for (const propertyName of jsonObjectKeys(propertiesNode)) {
+        propertyPatterns.push(`^${regexEscape(propertyName)}$`);
+      }
+    }
+  }
+
+  if (jsonObjectHas("patternProperties", schemaNode)) {
+    const patternPropertiesNode = jsonPointerStep("patternProperties", schemaNode);
+    if (patternPropertiesNode.jsonType === "object") {
+      propertyPatterns.push(...jsonObjectKeys(patternPropertiesNode));
+    }
+  }
+
+  return new RegExp(propertyPatterns.length > 0 ? propertyPatterns.join("|") : "(?!)", "u");
+};
+
+/** @type (string: string) => string */
+const regexEscape = (string) => string
+  .replace(/[|\\{}()[\]^$+*?.]/g, "\\$&")
+  .replace(/-/g, "\\x2d");
+
+keywordHandlers.set("allOf", (allOfNode, instanceNode) => {
+  assertNodeType(allOfNode, "array");
+
+  let isValid = true;
+  const outputs = [];
+  for (const schemaNode of allOfNode.children) {
+    const schemaOutput = validateSchema(schemaNode, instanceNode);
+    outputs.push(schemaOutput);
+    if (!schemaOutput.valid) {
+      isValid = false;
+      if (shortCircuit) {
+        break;
+      }
+    }
+  }
+
+  return new Output(isValid, allOfNode, instanceNode, outputs);
+});
+
+keywordHandlers.set("anyOf", (anyOfNode, instanceNode) => {
+  assertNodeType(anyOfNode, "array");
+
+  let isValid = false;
+  const outputs = [];
+  for (const schemaNode of anyOfNode.children) {
+    const schemaOutput = validateSchema(schemaNode, instanceNode);
+    outputs.push(schemaOutput);
+    if (schemaOutput.valid) {
+      isValid = true;
+      if (shortCircuit) {
+        break;
+      }
+    }
+  }
+  return new Output(isValid, anyOfNode, instanceNode, outputs);
+});
+
+keywordHandlers.set("oneOf", (oneOfNode, instanceNode) => {
+  assertNodeType(oneOfNode, "array");
+
+  let matches = 0;
+  const outputs = [];
+  for (const schemaNode of oneOfNode.children) {
+    const schemaOutput = validateSchema(schemaNode, instanceNode);
+    outputs.push(schemaOutput);
+    if (schemaOutput.valid) {
+      matches++;
+      if (matches > 1 && shortCircuit) {
+        break;
+      }
+    }
+  }
+
+  return new Output(matches === 1, oneOfNode, instanceNode, outputs);
+});
+
+keywordHandlers.set("not", (notNode, instanceNode) => {
+  const schemaOutput = validateSchema(notNode, instanceNode);
+  return new Output(!schemaOutput.valid, notNode, instanceNode, [schemaOutput]);
+});
+
+keywordHandlers.set("contains", (containsNode, instanceNode, schemaNode) => {
+  if (instanceNode.jsonType !== "array") {
+    return new Output(true, containsNode, instanceNode);
+  }
+
+  let minContains = 1;
+  if (jsonObjectHas("minContains", schemaNode)) {
+    const minContainsNode = jsonPointerStep("minContains", schemaNode);
+    if (minContainsNode.jsonType === "number") {
+      minContains = minContainsNode.value;
+    }
+  }
+
+  let maxContains = Number.MAX_SAFE_INTEGER;
+  if (jsonObjectHas("maxContains", schemaNode)) {
+    const maxContainsNode = jsonPointerStep("maxContains", schemaNode);
+    if (maxContainsNode.jsonType === "number") {
+      maxContains = maxContainsNode.value;
+    }
+  }
+
+  const outputs = [];
+  const matchingIndexes = [];
+  for (let index = 0; index < instanceNode.children.length; index++) {
+    const schemaOutput = validateSchema(containsNode, instanceNode.children[index]);
+    outputs.push(schemaOutput);
+    if (schemaOutput.valid) {
+      matchingIndexes.push(index);
+      if (matchingIndexes.length > maxContains && shortCircuit) {
+        break;
+      }
+    }
+  }
+
+  const matches = matchingIndexes.length;
+  const isValid = matches >= minContains && matches <= maxContains;
+  return new Output(isValid, containsNode, instanceNode, outputs, matchingIndexes);
+});
+
+keywordHandlers.set("dependentSchemas", (dependentSchemasNode, instanceNode) => {
+  if (instanceNode.jsonType !== "object") {
+    return new Output(true, dependentSchemasNode, instanceNode);
+  }
+
+  assertNodeType(dependentSchemasNode, "object");
+
+  let isValid = true;
+  const outputs = [];
+  for (const propertyNode of dependentSchemasNode.children) {
+    const [keyNode, schemaNode] = propertyNode.children;
+    if (jsonObjectHas(keyNode.value, instanceNode)) {
+      const schemaOutput = validateSchema(schemaNode, instanceNode);
+      outputs.push(schemaOutput);
+      if (!schemaOutput.valid) {
+        isValid = false;
+        if (shortCircuit) {
+          break;
+        }
+      }
+    }
+  }
+
+  return new Output(isValid, dependentSchemasNode, instanceNode, outputs);
+});
+
+keywordHandlers.set("if", (ifNode, instanceNode) => {
+  const schemaOutput = validateSchema(ifNode, instanceNode);
+  return new Output(true, ifNode, instanceNode, [schemaOutput]);
+});
+
+/**
+ * Whether the `if` subschema passed, from the output of the `if` keyword.
+ * `then` and `else` are evaluated after `if`, so `if` is only evaluated once.
+ * Without an `if`, the result is `undefined`.
+ *
+ * @type (schemaNode: JsonObjectNode, siblingOutputs: Output[]) => boolean | undefined
+ */
+const ifResult = (schemaNode, siblingOutputs) => {
+  if (!jsonObjectHas("if", schemaNode)) {
+    return;
+  }
+
+  const ifLocation = jsonPointerStep("if", schemaNode).location;
+  const ifOutput = siblingOutputs.find((keywordOutput) => keywordOutput.absoluteKeywordLocation === ifLocation);
+  return ifOutput?.annotations?.[0].valid;
+};
+
+keywordHandlers.set("then", (thenNode, instanceNode, schemaNode, siblingOutputs = []) => {
+  if (ifResult(schemaNode, siblingOutputs) === true) {
+    const thenOutput = validateSchema(thenNode, instanceNode);
+    return new Output(thenOutput.valid, thenNode, instanceNode, [thenOutput]);
+  }
+
+  return new Output(true, thenNode, instanceNode);
+});
+
+keywordHandlers.set("else", (elseNode, instanceNode, schemaNode, siblingOutputs = []) => {
+  if (ifResult(schemaNode, siblingOutputs) === false) {
+    const elseOutput = validateSchema(elseNode, instanceNode);
+    return new Output(elseOutput.valid, elseNode, instanceNode, [elseOutput]);
+  }
+
+  return new Output(true, elseNode, instanceNode);
+});
+
+keywordHandlers.set("items", (itemsNode, instanceNode, schemaNode) => {
+  if (instanceNode.jsonType !== "array") {
+    return new Output(true, itemsNode, instanceNode);
+  }
+
+  let numberOfPrefixItems = 0;
+  if (jsonObjectHas("prefixItems", schemaNode)) {
+    const prefixItemsNode = jsonPointerStep("prefixItems", schemaNode);
+    if (prefixItemsNode.jsonType === "array") {
+      numberOfPrefixItems = prefixItemsNode.children.length;
+    }
+  }
+
+  let isValid = true;
+  const outputs = [];
+  for (const itemNode of instanceNode.children.slice(numberOfPrefixItems)) {
+    const schemaOutput = validateSchema(itemsNode, itemNode);
+    outputs.push(schemaOutput);
+    if (!schemaOutput.valid) {
+      isValid = false;
+      if (shortCircuit) {
+        break;
+      }
+    }
+  }
+
+  const annotation = outputs.length > 0 ? true : undefined;
+  return new Output(isValid, itemsNode, instanceNode, outputs, annotation);
+});
+
+keywordHandlers.set("patternProperties", (patternPropertiesNode, instanceNode) => {
+  if (instanceNode.jsonType !== "object") {
+    return new Output(true, patternPropertiesNode, instanceNode);
+  }
+
+  assertNodeType(patternPropertiesNode, "object");
+
+  let isValid = true;
+  const outputs = [];
+  /** @type Set<string> */
+  const evaluatedProperties = new Set();
+  for (const propertyNode of patternPropertiesNode.children) {
+    const [patternNode, patternSchemaNode] = propertyNode.children;
+    const pattern = memoize(patterns, patternNode, () => new RegExp(patternNode.value, "u"));
     for (const propertyNode of instanceNode.children) {
       const [propertyNameNode, propertyValueNode] = propertyNode.children;
       const propertyName = propertyNameNode.value;
       if (pattern.test(propertyName)) {
         const schemaOutput = validateSchema(patternSchemaNode, propertyValueNode);
+        outputs.push(schemaOutput);
+        evaluatedProperties.add(propertyName);
         if (!schemaOutput.valid) {
           isValid = false;
+          if (shortCircuit) {
+            break;
+          }
+        }
+      }
+    }
+
+    if (!isValid && shortCircuit) {
+      break;
+    }
+  }
+
+  return new Output(isValid, patternPropertiesNode, instanceNode, outputs, [...evaluatedProperties]);
+});
+
+keywordHandlers.set("prefixItems", (prefixItemsNode, instanceNode) => {
+  if (instanceNode.jsonType !== "array") {
+    return new Output(true, prefixItemsNode, instanceNode);
+  }
+
+  assertNodeType(prefixItemsNode, "array");
+
+  let isValid = true;
+  const outputs = [];
+  for (let index = 0; index < instanceNode.children.length; index++) {
+    if (prefixItemsNode.children[index]) {
+      const schemaOutput = validateSchema(prefixItemsNode.children[index], instanceNode.children[index]);
+      outputs.push(schemaOutput);
+      if (!schemaOutput.valid) {
+        isValid = false;
+        if (shortCircuit) {
+          break;
+        }
+      }
+    }
+  }
+
+  // The largest index evaluated, or `true` if every item was evaluated
+  let annotation;
+  if (outputs.length === instanceNode.children.length) {
+    annotation = outputs.length > 0 ? true : undefined;
+  } else {
+    annotation = outputs.length - 1;
+  }
+
+  return new Output(isValid, prefixItemsNode, instanceNode, outputs, annotation);
+});
+
+keywordHandlers.set("properties", (propertiesNode, instanceNode) => {
+  if (instanceNode.jsonType !== "object") {
+    return new Output(true, propertiesNode, instanceNode);
+  }
+
+  assertNodeType(propertiesNode, "object");
+
+  let isValid = true;
+  const outputs = [];
+  const evaluatedProperties = [];
+  for (const jsonPropertyNode of instanceNode.children) {
+    const [propertyNameNode, instancePropertyNode] = jsonPropertyNode.children;
+    if (jsonObjectHas(propertyNameNode.value, propertiesNode)) {
+      const schemaPropertyNode = jsonPointerStep(propertyNameNode.value, propertiesNode);
+      const schemaOutput = validateSchema(schemaPropertyNode, instancePropertyNode);
+      outputs.push(schemaOutput);
+      evaluatedProperties.push(propertyNameNode.value);
+      if (!schemaOutput.valid) {
+        isValid = false;
+        if (shortCircuit) {
+          break;
+        }
+      }
+    }
+  }
+
+  return new Output(isValid, propertiesNode, instanceNode, outputs, evaluatedProperties);
+});
+
+keywordHandlers.set("propertyNames", (propertyNamesNode, instanceNode) => {
+  if (instanceNode.jsonType !== "object") {
+    return new Output(true, propertyNamesNode, instanceNode);
+  }
+
+  let isValid = true;
+  const outputs = [];
+  for (const propertyNode of instanceNode.children) {
+    /** @type JsonStringNode */
+    const keyNode = {
+      type: "json",
+      jsonType: "string",
+      value: propertyNode.children[0].value,
+      location: JsonPointer.append(propertyNode.children[0].value, instanceNode.location),
+      position: propertyNode.children[0].position
+    };
+    const schemaOutput = validateSchema(propertyNamesNode, keyNode);
+    outputs.push(schemaOutput);
+    if (!schemaOutput.valid) {
+      isValid = false;
+      if (shortCircuit) {
+        break;
+      }
+    }
+  }
+
+  return new Output(isValid, propertyNamesNode, instanceNode, outputs);
+});
+
+/** @type WeakMap<JsonNode, string> */
+const normalizedValues = new WeakMap();
+
+keywordHandlers.set("const", (constNode, instanceNode) => {
+  const constValue = memoize(normalizedValues, constNode, () => jsonStringify(jsonValue(constNode)));
+  const isValid = jsonStringify(jsonValue(instanceNode)) === constValue;
+  return new Output(isValid, constNode, instanceNode);
+});
+
+keywordHandlers.set("dependentRequired", (dependentRequiredNode, instanceNode) => {
+  if (instanceNode.jsonType !== "object") {
+    return new Output(true, dependentRequiredNode, instanceNode);
+  }
+
+  assertNodeType(dependentRequiredNode, "object");
+
+  let isValid = true;
+  for (const propertyNode of dependentRequiredNode.children) {
+    const [keyNode, requiredPropertiesNode] = propertyNode.children;
+    if (jsonObjectHas(keyNode.value, instanceNode)) {
+      assertNodeType(requiredPropertiesNode, "array");
+      const isConditionValid = requiredPropertiesNode.children.every((requiredPropertyNode) => {
+        assertNodeType(requiredPropertyNode, "string");
+        return jsonObjectHas(requiredPropertyNode.value, instanceNode);
+      });
+
+      if (!isConditionValid) {
+        isValid = false;
+      }
+    }
+  }
+
+  return new Output(isValid, dependentRequiredNode, instanceNode);
+});
+
+/** @type WeakMap<JsonNode, Set<string>> */
+const normalizedEnums = new WeakMap();
+
+keywordHandlers.set("enum", (enumNode, instanceNode) => {
+  assertNodeType(enumNode, "array");
+
+  const enumValues = memoize(normalizedEnums, enumNode, () => {
+    return new Set(enumNode.children.map((enumItemNode) => jsonStringify(jsonValue(enumItemNode))));
+  });
+  const isValid = enumValues.has(jsonStringify(jsonValue(instanceNode)));
+  return new Output(isValid, enumNode, instanceNode);
+});
+
+keywordHandlers.set("exclusiveMaximum", (exclusiveMaximumNode, instanceNode) => {
+  if (instanceNode.jsonType !== "number") {
+    return new Output(true, exclusiveMaximumNode, instanceNode);
+  }
+
+  assertNodeType(exclusiveMaximumNode, "number");
+
+  const isValid = instanceNode.value < exclusiveMaximumNode.value;
+  return new Output(isValid, exclusiveMaximumNode, instanceNode);
+});
+
+keywordHandlers.set("exclusiveMinimum", (exclusiveMinimumNode, instanceNode) => {
+  if (instanceNode.jsonType !== "number") {
+    return new Output(true, exclusiveMinimumNode, instanceNode);
+  }
+
+  assertNodeType(exclusiveMinimumNode, "number");
+
+  const isValid = instanceNode.value > exclusiveMinimumNode.value;
+  return new Output(isValid, exclusiveMinimumNode, instanceNode);
+});
+
+keywordHandlers.set("maxItems", (maxItemsNode, instanceNode) => {
+  if (instanceNode.jsonType !== "array") {
+    return new Output(true, maxItemsNode, instanceNode);
+  }
+
+  assertNodeType(maxItemsNode, "number");
+
+  const isValid = instanceNode.children.length <= maxItemsNode.value;
+  return new Output(isValid, maxItemsNode, instanceNode);
+});
+
+keywordHandlers.set("minItems", (minItemsNode, instanceNode) => {
+  if (instanceNode.jsonType !== "array") {
+    return new Output(true, minItemsNode, instanceNode);
+  }
+
+  assertNodeType(minItemsNode, "number");
+
+  const isValid = instanceNode.children.length >= minItemsNode.value;
+  return new Output(isValid, minItemsNode, instanceNode);
+});
+
+keywordHandlers.set("maxLength", (maxLengthNode, instanceNode) => {
+  if (instanceNode.jsonType !== "string") {
+    return new Output(true, maxLengthNode, instanceNode);
+  }
+
+  assertNodeType(maxLengthNode, "number");
+
+  const isValid = [...instanceNode.value].length <= maxLengthNode.value;
+  return new Output(isValid, maxLengthNode, instanceNode);
+});
+
+keywordHandlers.set("minLength", (minLengthNode, instanceNode) => {
+  if (instanceNode.jsonType !== "string") {
+    return new Output(true, minLengthNode, instanceNode);
+  }
+
+  assertNodeType(minLengthNode, "number");
+
+  const isValid = [...instanceNode.value].length >= minLengthNode.value;
+  return new Output(isValid, minLengthNode, instanceNode);
+});
+
+keywordHandlers.set("maxProperties", (maxPropertiesNode, instanceNode) => {
+  if (instanceNode.jsonType !== "object") {
+    return new Output(true, maxPropertiesNode, instanceNode);
+  }
+
+  assertNodeType(maxPropertiesNode, "number");
+
+  const isValid = instanceNode.children.length <= maxPropertiesNode.value;
+  return new Output(isValid, maxPropertiesNode, instanceNode);
+});
+
+keywordHandlers.set("minProperties", (minPropertiesNode, instanceNode) => {
+  if (instanceNode.jsonType !== "object") {
+    return new Output(true, minPropertiesNode, instanceNode);
+  }
+
+  assertNodeType(minPropertiesNode, "number");
+
+  const isValid = instanceNode.children.length >= minPropertiesNode.value;
+  return new Output(isValid, minPropertiesNode, instanceNode);
+});
+
+keywordHandlers.set("maximum", (maximumNode, instanceNode) => {
+  if (instanceNode.jsonType !== "number") {
+    return new Output(true, maximumNode, instanceNode);
+  }
+
+  assertNodeType(maximumNode, "number");
+
+  const isValid = instanceNode.value <= maximumNode.value;
+  return new Output(isValid, maximumNode, instanceNode);
+});
+
+keywordHandlers.set("minimum", (minimumNode, instanceNode) => {
+  if (instanceNode.jsonType !== "number") {
+    return new Output(true, minimumNode, instanceNode);
+  }
+
+  assertNodeType(minimumNode, "number");
+
+  const isValid = instanceNode.value >= minimumNode.value;
+  return new Output(isValid, minimumNode, instanceNode);
+});
+
+keywordHandlers.set("multipleOf", (multipleOfNode, instanceNode) => {
+  if (instanceNode.jsonType !== "number") {
+    return new Output(true, multipleOfNode, instanceNode);
+  }
+
+  assertNodeType(multipleOfNode, "number");
+
+  const remainder = instanceNode.value % multipleOfNode.value;
+  const isValid = numberEqual(0, remainder) || numberEqual(multipleOfNode.value, remainder);
+  return new Output(isValid, multipleOfNode, instanceNode);
+});
+
+/** @type (a: number, b: number) => boolean */
+const numberEqual = (a, b) => Math.abs(a - b) < 1.19209290e-7;
+
+/** @type WeakMap<JsonNode | JsonPropertyNameNode, RegExp> */
+const patterns = new WeakMap();
+
+keywordHandlers.set("pattern", (patternNode, instanceNode) => {
+  if (instanceNode.jsonType !== "string") {
+    return new Output(true, patternNode, instanceNode);
+  }
+
+  assertNodeType(patternNode, "string");
+
+  const pattern = memoize(patterns, patternNode, () => new RegExp(patternNode.value, "u"));
+  const isValid = pattern.test(instanceNode.value);
+  return new Output(isValid, patternNode, instanceNode);
+});
+
+keywordHandlers.set("required", (requiredNode, instanceNode) => {
+  if (instanceNode.jsonType !== "object") {
+    return new Output(true, requiredNode, instanceNode);
+  }
+
+  assertNodeType(requiredNode, "array");
+  for (const requiredPropertyNode of requiredNode.children) {
+    assertNodeType(requiredPropertyNode, "string");
+    if (!jsonObjectHas(requiredPropertyNode.value, instanceNode)) {
+      return new Output(false, requiredNode, instanceNode);
+    }
+  }
+  return new Output(true, requiredNode, instanceNode);
+});
+
+keywordHandlers.set("type", (typeNode, instanceNode) => {
+  if (typeNode.type === "json") {
+    if (typeNode.jsonType === "string") {
+      return new Output(isTypeOf(instanceNode, typeNode.value), typeNode, instanceNode);
+    }
+
+    if (typeNode.jsonType === "array") {
+      for (const itemNode of typeNode.children) {
+        if (itemNode.type !== "json" || itemNode.jsonType != "string") {
+          throw Error("Invalid Schema");
+        }
+
+        if (isTypeOf(instanceNode, itemNode.value)) {
+          return new Output(true, typeNode, instanceNode);
         }
       }
+
+      return new Output(false, typeNode, instanceNode);
     }
   }
 
-  return new Output(isValid, patternPropertiesNode, instanceNode);
+  throw Error("Invalid Schema");
 });
 
-keywordHandlers.set("prefixItems", (prefixItemsNode, instanceNode) => {
+/** @type (instanceNode: JsonNode, type: string) => boolean */
+const isTypeOf = (instance, type) => type === "integer"
+  ? instance.jsonType === "number" && Number.isInteger(instance.value)
+  : instance.jsonType === type;
+
+keywordHandlers.set("uniqueItems", (uniqueItemsNode, instanceNode) => {
   if (instanceNode.jsonType !== "array") {
-    return new Output(true, prefixItemsNode, instanceNode);
+    return new Output(true, uniqueItemsNode, instanceNode);
   }
 
-  assertNodeType(prefixItemsNode, "array");
+  assertNodeType(uniqueItemsNode, "boolean");
+
+  if (uniqueItemsNode.value === false) {
+    return new Output(true, uniqueItemsNode, instanceNode);
+  }
+
+  const normalizedItems = instanceNode.children.map((itemNode) => jsonStringify(jsonValue(itemNode)));
+  const isValid = new Set(normalizedItems).size === normalizedItems.length;
+  return new Output(isValid, uniqueItemsNode, instanceNode);
+});
+
+/** @type Map<string, (value: string) => boolean> */
+const formats = new Map([
+  ["date-time", Format.isDateTime],
+  ["date", Format.isDate],
+  ["time", Format.isTime],
+  ["duration", Format.isDuration],
+  ["email", Format.isEmail],
+  ["idn-email", Format.isIdnEmail],
+  ["hostname", Format.isAsciiIdn],
+  ["idn-hostname", Format.isIdn],
+  ["ipv4", Format.isIPv4],
+  ["ipv6", Format.isIPv6],
+  ["uri", Format.isUri],
+  ["uri-reference", Format.isUriReference],
+  ["iri", Format.isIri],
+  ["iri-reference", Format.isIriReference],
+  ["uri-template", Format.isUriTemplate],
+  ["uuid", Format.isUuid],
+  ["json-pointer", Format.isJsonPointer],
+  ["relative-json-pointer", Format.isRelativeJsonPointer],
+  ["regex", Format.isRegex]
+]);
+
+/** @type (formats: Map<string, (value: string) => boolean>) => KeywordHandler */
+const formatKeywordHandler = (formats) => (formatNode, instanceNode) => {
+  assertNodeType(formatNode, "string");
+
+  // Unknown formats are only annotations
+  const isFormat = formats.get(formatNode.value);
+  const vocabularies = vocabulariesOf(baseUriOf(formatNode));
+  const isFormatAssertion = shouldValidateFormat || vocabularies.has(formatAssertionVocabularyUri);
+  if (!isFormatAssertion || !isFormat || instanceNode.jsonType !== "string") {
+    return new Output(true, formatNode, instanceNode, [], formatNode.value);
+  }
+
+  const isValid = isFormat(instanceNode.value);
+  return new Output(isValid, formatNode, instanceNode, [], formatNode.value);
+};
+
+keywordHandlers.set("format", formatKeywordHandler(formats));
+
+/** @type KeywordHandler */
+const annotationKeywordHandler = (keywordNode, instanceNode) => {
+  return new Output(true, keywordNode, instanceNode, [], jsonValue(keywordNode));
+};
+
+keywordHandlers.set("title", annotationKeywordHandler);
+keywordHandlers.set("description", annotationKeywordHandler);
+keywordHandlers.set("default", annotationKeywordHandler);
+keywordHandlers.set("examples", annotationKeywordHandler);
+keywordHandlers.set("deprecated", annotationKeywordHandler);
+keywordHandlers.set("readOnly", annotationKeywordHandler);
+keywordHandlers.set("writeOnly", annotationKeywordHandler);
+
+keywordHandlers.set("$id", (idNode, instanceNode) => {
+  return new Output(true, idNode, instanceNode);
+});
+
+keywordHandlers.set("$anchor", (anchorNode, instanceNode) => {
+  return new Output(true, anchorNode, instanceNode);
+});
+
+keywordHandlers.set("$dynamicAnchor", (dynamicAnchorNode, instanceNode) => {
+  return new Output(true, dynamicAnchorNode, instanceNode);
+});
+
+keywordHandlers.set("$dynamicRef", (dynamicRefNode, instanceNode) => {
+  assertNodeType(dynamicRefNode, "string");
+
+  const { uri, schemaNode } = resolveReferenceNode(dynamicRefNode);
+  let referencedSchemaNode = schemaNode;
+
+  // The reference is only dynamic if it initially resolves to a schema with a
+  // matching dynamic anchor. In that case, the outermost schema resource in
+  // the dynamic scope with a matching dynamic anchor is used instead.
+  const anchor = fragmentOf(uri);
+  if (hasDynamicAnchor(anchor, referencedSchemaNode)) {
+    for (const scopeUri of dynamicScope) {
+      const dynamicSchemaNode = registry.schemas.get(`${scopeUri}#${anchor}`);
+      if (dynamicSchemaNode && hasDynamicAnchor(anchor, dynamicSchemaNode)) {
+        referencedSchemaNode = dynamicSchemaNode;
+        break;
+      }
+    }
+  }
+
+  const schemaOutput = validateSchema(referencedSchemaNode, instanceNode);
+  return new Output(schemaOutput.valid, dynamicRefNode, instanceNode, [schemaOutput]);
+});
+
+/** @type (anchor: string, schemaNode: JsonNode) => boolean */
+const hasDynamicAnchor = (anchor, schemaNode) => {
+  if (schemaNode.jsonType !== "object" || !jsonObjectHas("$dynamicAnchor", schemaNode)) {
+    return false;
+  }
+
+  const dynamicAnchorNode = jsonPointerStep("$dynamicAnchor", schemaNode);
+  return dynamicAnchorNode.jsonType === "string" && dynamicAnchorNode.value === anchor;
+};
+
+keywordHandlers.set("unevaluatedProperties", (unevaluatedPropertiesNode, instanceNode, _schemaNode, siblingOutputs = []) => {
+  if (instanceNode.jsonType !== "object") {
+    return new Output(true, unevaluatedPropertiesNode, instanceNode);
+  }
+
+  /** @type Set<string> */
+  const evaluatedProperties = new Set();
+  for (const annotation of collectAnnotations(siblingOutputs, instanceNode.location, evaluatedPropertiesKeywords)) {
+    for (const propertyName of /** @type string[] */ (annotation)) {
+      evaluatedProperties.add(propertyName);
+    }
+  }
+
+  let isValid = true;
+  const outputs = [];
+  const unevaluatedProperties = [];
+  for (const propertyNode of instanceNode.children) {
+    const [propertyNameNode, instancePropertyNode] = propertyNode.children;
+    if (!evaluatedProperties.has(propertyNameNode.value)) {
+      const schemaOutput = validateSchema(unevaluatedPropertiesNode, instancePropertyNode);
+      outputs.push(schemaOutput);
+      unevaluatedProperties.push(propertyNameNode.value);
+      if (!schemaOutput.valid) {
+        isValid = false;
+        if (shortCircuit) {
+          break;
+        }
+      }
+    }
+  }
+
+  return new Output(isValid, unevaluatedPropertiesNode, instanceNode, outputs, unevaluatedProperties);
+});
+
+const evaluatedPropertiesKeywords = new Set([
+  "properties",
+  "patternProperties",
+  "additionalProperties",
+  "unevaluatedProperties"
+]);
+
+keywordHandlers.set("unevaluatedItems", (unevaluatedItemsNode, instanceNode, _schemaNode, siblingOutputs = []) => {
+  if (instanceNode.jsonType !== "array") {
+    return new Output(true, unevaluatedItemsNode, instanceNode);
+  }
+
+  /** @type Set<number> */
+  const evaluatedItems = new Set();
+  for (const annotation of collectAnnotations(siblingOutputs, instanceNode.location, evaluatedItemsKeywords)) {
+    if (annotation === true) {
+      return new Output(true, unevaluatedItemsNode, instanceNode);
+    } else if (typeof annotation === "number") {
+      for (let index = 0; index <= annotation; index++) {
+        evaluatedItems.add(index);
+      }
+    } else {
+      for (const index of /** @type number[] */ (annotation)) {
+        evaluatedItems.add(index);
+      }
+    }
+  }
 
   let isValid = true;
+  const outputs = [];
   for (let index = 0; index < instanceNode.children.length; index++) {
-    if (prefixItemsNode.children[index]) {
-      const schemaOutput = validateSchema(prefixItemsNode.children[index], instanceNode.children[index]);
+    if (!evaluatedItems.has(index)) {
+      const schemaOutput = validateSchema(unevaluatedItemsNode, instanceNode.children[index]);
+      outputs.push(schemaOutput);
       if (!schemaOutput.valid) {
         isValid = false;
+        if (shortCircuit) {
+          break;
+        }
       }
     }
   }
 
-  return new Output(isValid, prefixItemsNode, instanceNode);
+  const annotation = outputs.length > 0 ? true : undefined;
+  return new Output(isValid, unevaluatedItemsNode, instanceNode, outputs, annotation);
 });
 
-keywordHandlers.set("properties", (propertiesNode, instanceNode) => {
+const evaluatedItemsKeywords = new Set([
+  "prefixItems",
+  "items",
+  "contains",
+  "unevaluatedItems"
+]);
+
+/**
+ * The unevaluated keywords use the annotations of the other keywords in the
+ * same schema. They are evaluated after those keywords and get their outputs.
+ */
+const unevaluatedKeywords = new Set(["unevaluatedProperties", "unevaluatedItems"]);
+
+/**
+ * Collect the annotations of the given keywords that apply to the instance
+ * location. Annotations from subschemas that failed are not included.
+ *
+ * @type (keywordOutputs: Output[], instanceLocation: string, keywords: Set<string>) => Json[]
+ */
+const collectAnnotations = (keywordOutputs, instanceLocation, keywords) => {
+  const annotations = [];
+  for (const keywordOutput of keywordOutputs) {
+    if (!keywordOutput.valid) {
+      continue;
+    }
+
+    if (keywordOutput.annotation !== undefined && keywords.has(outputKeyword(keywordOutput))) {
+      annotations.push(keywordOutput.annotation);
+    }
+
+    for (const schemaOutput of keywordOutput.annotations ?? []) {
+      if (schemaOutput.valid && schemaOutput.instanceLocation === instanceLocation) {
+        annotations.push(...collectAnnotations(schemaOutput.annotations ?? [], instanceLocation, keywords));
+      }
+    }
+  }
+
+  return annotations;
+};
+
+/** @type (keywordOutput: Output) => string */
+const outputKeyword = (keywordOutput) => {
+  const location = keywordOutput.absoluteKeywordLocation;
+  return location.slice(location.lastIndexOf("/") + 1);
+};
+
+/** @type Map<string, KeywordHandler> */
+const draft07KeywordHandlers = new Map();
+vocabularyKeywordHandlers.set(draft07DialectUri, draft07KeywordHandlers);
+
+/** @type Map<string, KeywordHandler> */
+const draft04KeywordHandlers = new Map();
+vocabularyKeywordHandlers.set(draft04DialectUri, draft04KeywordHandlers);
+
+/** @type KeywordHandler */
+const legacyItemsKeywordHandler = (itemsNode, instanceNode) => {
+  if (instanceNode.jsonType !== "array") {
+    return new Output(true, itemsNode, instanceNode);
+  }
+
+  // An array of schemas applies each schema to the item at the same position
+  const itemSchemaNodes = itemsNode.jsonType === "array"
+    ? itemsNode.children.slice(0, instanceNode.children.length)
+    : instanceNode.children.map(() => itemsNode);
+
+  let isValid = true;
+  const outputs = [];
+  for (let index = 0; index < itemSchemaNodes.length; index++) {
+    const schemaOutput = validateSchema(itemSchemaNodes[index], instanceNode.children[index]);
+    outputs.push(schemaOutput);
+    if (!schemaOutput.valid) {
+      isValid = false;
+      if (shortCircuit) {
+        break;
+      }
+    }
+  }
+
+  return new Output(isValid, itemsNode, instanceNode, outputs);
+};
+
+draft07KeywordHandlers.set("items", legacyItemsKeywordHandler);
+draft04KeywordHandlers.set("items", legacyItemsKeywordHandler);
+
+/** @type KeywordHandler */
+const additionalItemsKeywordHandler = (additionalItemsNode, instanceNode, schemaNode) => {
+  if (instanceNode.jsonType !== "array" || !jsonObjectHas("items", schemaNode)) {
+    return new Output(true, additionalItemsNode, instanceNode);
+  }
+
+  // `additionalItems` only applies when `items` is an array of schemas
+  const itemsNode = jsonPointerStep("items", schemaNode);
+  if (itemsNode.jsonType !== "array") {
+    return new Output(true, additionalItemsNode, instanceNode);
+  }
+
+  let isValid = true;
+  const outputs = [];
+  for (const itemNode of instanceNode.children.slice(itemsNode.children.length)) {
+    const schemaOutput = validateSchema(additionalItemsNode, itemNode);
+    outputs.push(schemaOutput);
+    if (!schemaOutput.valid) {
+      isValid = false;
+      if (shortCircuit) {
+        break;
+      }
+    }
+  }
+
+  return new Output(isValid, additionalItemsNode, instanceNode, outputs);
+};
+
+draft07KeywordHandlers.set("additionalItems", additionalItemsKeywordHandler);
+draft04KeywordHandlers.set("additionalItems", additionalItemsKeywordHandler);
+
+/** @type KeywordHandler */
+const dependenciesKeywordHandler = (dependenciesNode, instanceNode) => {
   if (instanceNode.jsonType !== "object") {
-    return new Output(true, propertiesNode, instanceNode);
+    return new Output(true, dependenciesNode, instanceNode);
   }
 
-  assertNodeType(propertiesNode, "object");
+  assertNodeType(dependenciesNode, "object");
 
+  // Each dependency is either a list of required properties or a schema
   let isValid = true;
-  for (const jsonPropertyNode of instanceNode.children) {
-    const [propertyNameNode, instancePropertyNode] = jsonPropertyNode.children;
-    if (jsonObjectHas(propertyNameNode.value, propertiesNode)) {
-      const schemaPropertyNode = jsonPointerStep(propertyNameNode.value, propertiesNode);
-      const schemaOutput = validateSchema(schemaPropertyNode, instancePropertyNode);
+  const outputs = [];
+  for (const propertyNode of dependenciesNode.children) {
+    const [keyNode, dependencyNode] = propertyNode.children;
+    if (!jsonObjectHas(keyNode.value, instanceNode)) {
+      continue;
+    }
+
+    if (dependencyNode.jsonType === "array") {
+      const isConditionValid = dependencyNode.children.every((requiredPropertyNode) => {
+        assertNodeType(requiredPropertyNode, "string");
+        return jsonObjectHas(requiredPropertyNode.value, instanceNode);
+      });
+
+      if (!isConditionValid) {
+        isValid = false;
+      }
+    } else {
+      const schemaOutput = validateSchema(dependencyNode, instanceNode);
+      outputs.push(schemaOutput);
       if (!schemaOutput.valid) {
         isValid = false;
+        if (shortCircuit) {
+          break;
+        }
       }
     }
   }
 
-  return new Output(isValid, propertiesNode, instanceNode);
+  return new Output(isValid, dependenciesNode, instanceNode, outputs);
+};
+
+draft07KeywordHandlers.set("dependencies", dependenciesKeywordHandler);
+draft04KeywordHandlers.set("dependencies", dependenciesKeywordHandler);
+
+/** @type Map<string, (value: string) => boolean> */
+const draft07Formats = new Map([...formats]
+  .filter(([format]) => format !== "duration" && format !== "uuid"));
+
+draft07KeywordHandlers.set("format", formatKeywordHandler(draft07Formats));
+
+/** @type Map<string, (value: string) => boolean> */
+const draft04Formats = new Map([
+  ["date-time", Format.isDateTime],
+  ["email", Format.isEmail],
+  ["hostname", Format.isHostname],
+  ["ipv4", Format.isIPv4],
+  ["ipv6", Format.isIPv6],
+  ["uri", Format.isUri]
+]);
+
+draft04KeywordHandlers.set("format", formatKeywordHandler(draft04Formats));
+
+// In draft-04, `exclusiveMaximum` and `exclusiveMinimum` are booleans that
+// modify `maximum` and `minimum`
+
+draft04KeywordHandlers.set("maximum", (maximumNode, instanceNode, schemaNode) => {
+  if (instanceNode.jsonType !== "number") {
+    return new Output(true, maximumNode, instanceNode);
+  }
+
+  assertNodeType(maximumNode, "number");
+
+  const isValid = isExclusive("exclusiveMaximum", schemaNode)
+    ? instanceNode.value < maximumNode.value
+    : instanceNode.value <= maximumNode.value;
+  return new Output(isValid, maximumNode, instanceNode);
 });
 
-keywordHandlers.set("propertyNames", (propertyNamesNode, instanceNode) => {
-  if (instanceNode.jsonType !== "object") {
-    return new Output(true, propertyNamesNode, instanceNode);
+draft04KeywordHandlers.set("minimum", (minimumNode, instanceNode, schemaNode) => {
+  if (instanceNode.jsonType !== "number") {
+    return new Output(true, minimumNode, instanceNode);
+  }
+
+  assertNodeType(minimumNode, "number");
+
+  const isValid = isExclusive("exclusiveMinimum", schemaNode)
+    ? instanceNode.value > minimumNode.value
+    : instanceNode.value >= minimumNode.value;
+  return new Output(isValid, minimumNode, instanceNode);
+});
+
+/** @type (keyword: string, schemaNode: JsonObjectNode) => boolean */
+const isExclusive = (keyword, schemaNode) => {
+  if (!jsonObjectHas(keyword, schemaNode)) {
+    return false;
+  }
+
+  const exclusiveNode = jsonPointerStep(keyword, schemaNode);
+  assertNodeType(exclusiveNode, "boolean");
+  return exclusiveNode.value;
+};
+
+draft04KeywordHandlers.set("exclusiveMaximum", (exclusiveMaximumNode, instanceNode) => {
+  return new Output(true, exclusiveMaximumNode, instanceNode);
+});
+
+draft04KeywordHandlers.set("exclusiveMinimum", (exclusiveMinimumNode, instanceNode) => {
+  return new Output(true, exclusiveMinimumNode, instanceNode);
+});
+
+/**
+ * Generate the source of a JavaScript module that evaluates instances against
+ * a schema without depending on this library. The module exports a
+ * `validate(instance)` function that returns the same Flag output `validate`
+ * produces. Referenced schemas must already be registered and are included in
+ * the module. Whether `format` is asserted is decided when the module is
+ * generated.
+ *
+ * @type (schema: Json | JsonNode) => string
+ */
+export const generateStandaloneValidator = (schema) => {
+  const schemas = identifySchemas(schema, unregisteredSchemaUri(schema), dialectUri);
+  const schemaNode = schemas[0][1];
+
+  return withSchemas(schemas, () => {
+    assertValidSchema(schemaNode);
+    return generateModule(schemaNode);
+  });
+};
+
+/**
+ * @typedef {{
+ *   schemaFunction: (schemaNode: JsonNode) => string;
+ *   constant: (expression: string) => string;
+ *   format: (isFormat: (value: string) => boolean) => string;
+ *   dynamicAnchor: (anchor: string) => void;
+ * }} StandaloneContext
+ */
+
+/**
+ * Generate the code that evaluates a keyword. The code runs in a function
+ * where `instance` is the value being evaluated and `evaluated` collects the
+ * properties and items that were evaluated, or is `null` if nothing needs
+ * them. The code returns `false` if the keyword fails.
+ *
+ * @typedef {(
+ *   keywordNode: JsonNode,
+ *   schemaNode: JsonObjectNode,
+ *   context: StandaloneContext
+ * ) => string} KeywordGenerator
+ */
+
+/** @type (rootSchemaNode: JsonNode) => string */
+const generateModule = (rootSchemaNode) => {
+  /** @type Map<JsonNode, string> */
+  const schemaFunctionNames = new Map();
+  /** @type JsonNode[] */
+  const pendingSchemaNodes = [];
+  /** @type Map<string, string> */
+  const constants = new Map();
+  /** @type Set<string> */
+  const dynamicAnchors = new Set();
+  /** @type Set<string> */
+  const formatNames = new Set();
+
+  /** @type StandaloneContext */
+  const context = {
+    schemaFunction: (schemaNode) => {
+      let name = schemaFunctionNames.get(schemaNode);
+      if (!name) {
+        name = `schema${schemaFunctionNames.size}`;
+        schemaFunctionNames.set(schemaNode, name);
+        pendingSchemaNodes.push(schemaNode);
+      }
+
+      return name;
+    },
+    constant: (expression) => {
+      let name = constants.get(expression);
+      if (!name) {
+        name = `constant${constants.size}`;
+        constants.set(expression, name);
+      }
+
+      return name;
+    },
+    format: (isFormat) => {
+      const formatName = Object.entries(Format).find(([, value]) => value === isFormat)?.[0];
+      if (!formatName) {
+        throw Error("Format validator not found");
+      }
+
+      formatNames.add(formatName);
+      return `Format.${formatName}`;
+    },
+    dynamicAnchor: (anchor) => {
+      dynamicAnchors.add(anchor);
+    }
+  };
+
+  const rootSchemaFunction = context.schemaFunction(rootSchemaNode);
+
+  /** @type [string, JsonNode, string][] */
+  const schemaFunctions = [];
+  /** @type Set<string> */
+  const resourceUris = new Set();
+  /** @type Map<string, string> */
+  const dynamicAnchorSchemaFunctions = new Map();
+  while (pendingSchemaNodes.length > 0) {
+    while (pendingSchemaNodes.length > 0) {
+      const schemaNode = /** @type JsonNode */ (pendingSchemaNodes.shift());
+      const name = /** @type string */ (schemaFunctionNames.get(schemaNode));
+      schemaFunctions.push([name, schemaNode, generateSchema(schemaNode, context)]);
+      if (schemaNode.jsonType === "object") {
+        resourceUris.add(baseUriOf(schemaNode));
+      }
+    }
+
+    // A dynamic reference can resolve to the matching dynamic anchor in any
+    // schema resource that can be in the dynamic scope
+    for (const anchor of dynamicAnchors) {
+      for (const resourceUri of resourceUris) {
+        const uri = `${resourceUri}#${anchor}`;
+        const schemaNode = registry.schemas.get(uri);
+        if (schemaNode && hasDynamicAnchor(anchor, schemaNode) && !dynamicAnchorSchemaFunctions.has(uri)) {
+          dynamicAnchorSchemaFunctions.set(uri, context.schemaFunction(schemaNode));
+        }
+      }
+    }
+  }
+
+  const isDynamic = dynamicAnchors.size > 0;
+  const code = [];
+  for (const [expression, name] of constants) {
+    code.push(`const ${name} = ${expression};`);
+  }
+
+  for (const [name, schemaNode, body] of schemaFunctions) {
+    if (isDynamic && schemaNode.jsonType === "object") {
+      const uri = JSON.stringify(baseUriOf(schemaNode));
+      code.push(`const ${name} = (instance, annotations) => withDynamicScope(${uri}, () => {\n${indent(body)}\n});`);
+    } else {
+      code.push(`const ${name} = (instance, annotations) => {\n${indent(body)}\n};`);
+    }
+  }
+
+  if (isDynamic) {
+    const entries = [...dynamicAnchorSchemaFunctions]
+      .map(([uri, name]) => `  [${JSON.stringify(uri)}, ${name}]`);
+    code.push(`const dynamicAnchors = new Map([\n${entries.join(",\n")}\n]);`);
+  }
+
+  const location = JSON.stringify(rootSchemaNode.location);
+  code.push(`export const validate = (instance) => {
+  return { valid: ${rootSchemaFunction}(instance, null), instanceLocation: "#", absoluteKeywordLocation: ${location} };
+};`);
+
+  // Only the helpers the generated code uses are included. Helpers only use
+  // helpers that come before them.
+  const helpers = [];
+  let source = code.join("\n");
+  for (const [name, helper] of [...standaloneHelpers].reverse()) {
+    if (new RegExp(`\\b${name}\\b`).test(source)) {
+      helpers.unshift(helper);
+      source += `\n${helper}`;
+    }
+  }
+
+  const imports = formatNames.size > 0
+    ? [`import * as Format from "@hyperjump/json-schema-formats";`]
+    : [];
+
+  return [...imports, ...helpers, ...code].join("\n\n") + "\n";
+};
+
+/** @type (schemaNode: JsonNode, context: StandaloneContext) => string */
+const generateSchema = (schemaNode, context) => {
+  if (schemaNode.type === "json") {
+    switch (schemaNode.jsonType) {
+      case "boolean":
+        return `return ${schemaNode.value};`;
+      case "object":
+        const schemaUri = baseUriOf(schemaNode);
+        const vocabularies = vocabulariesOf(schemaUri);
+
+        // Before 2019-09, `$ref` replaces the rest of the schema
+        const propertyNodes = isRefOverride(schemaNode, dialectOf(schemaUri))
+          ? schemaNode.children.filter((propertyNode) => propertyNode.children[0].value === "$ref")
+          : schemaNode.children;
+
+        // The unevaluated keywords are evaluated last so the annotations of
+        // every other keyword have been collected
+        /** @type string[] */
+        const keywordCode = [];
+        /** @type string[] */
+        const unevaluatedCode = [];
+        for (const propertyNode of propertyNodes) {
+          const [keywordNode, keywordValueNode] = propertyNode.children;
+          if (!enabledKeywordHandler(keywordNode.value, vocabularies)) {
+            continue;
+          }
+
+          const keywordGenerator = enabledKeywordGenerator(keywordNode.value, vocabularies);
+          if (!keywordGenerator) {
+            throw Error(`The '${keywordNode.value}' keyword isn't supported in standalone validators`);
+          }
+
+          const code = keywordGenerator(keywordValueNode, schemaNode, context);
+          if (code !== "") {
+            if (unevaluatedKeywords.has(keywordNode.value)) {
+              unevaluatedCode.push(code);
+            } else {
+              keywordCode.push(code);
+            }
+          }
+        }
+
+        return [
+          unevaluatedCode.length > 0
+            ? "const evaluated = newAnnotations();"
+            : "const evaluated = annotations === null ? null : newAnnotations();",
+          ...keywordCode,
+          ...unevaluatedCode,
+          "if (annotations !== null) mergeAnnotations(annotations, evaluated);",
+          "return true;"
+        ].join("\n");
+    }
+  }
+
+  throw Error("Invalid Schema");
+};
+
+/** @type (code: string) => string */
+const indent = (code) => code.replace(/^(?=.)/gm, "  ");
+
+/**
+ * A JavaScript expression for a JSON value. Objects are parsed from JSON
+ * because a `__proto__` property in an object literal sets the prototype.
+ *
+ * @type (node: JsonNode) => string
+ */
+const jsonExpression = (node) => {
+  const json = JSON.stringify(jsonValue(node));
+  return node.jsonType === "object" || node.jsonType === "array" ? `JSON.parse(${JSON.stringify(json)})` : json;
+};
+
+/** @type (pattern: string) => string */
+const regExpExpression = (pattern) => `new RegExp(${JSON.stringify(pattern)}, "u")`;
+
+/** @type (propertyNames: string[]) => string */
+const hasPropertiesExpression = (propertyNames) => propertyNames
+  .map((propertyName) => `Object.hasOwn(instance, ${JSON.stringify(propertyName)})`)
+  .join(" && ");
+
+/**
+ * The functions generated modules depend on. A helper is only included if
+ * the generated code uses it.
+ *
+ * @type [string, string][]
+ */
+const standaloneHelpers = [
+  ["jsonType", `const jsonType = (value) => value === null ? "null" : Array.isArray(value) ? "array" : typeof value;`],
+  ["canonicalJson", `const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return "[" + value.map(canonicalJson).join(",") + "]";
+  } else if (value !== null && typeof value === "object") {
+    const properties = Object.keys(value).sort()
+      .map((key) => JSON.stringify(key) + ":" + canonicalJson(value[key]));
+    return "{" + properties.join(",") + "}";
+  } else {
+    return JSON.stringify(value);
+  }
+};`],
+  ["numberEqual", `const numberEqual = ${numberEqual.toString()};`],
+  ["newAnnotations", `const newAnnotations = () => ({ properties: new Set(), items: new Set() });`],
+  ["mergeAnnotations", `const mergeAnnotations = (annotations, evaluated) => {
+  for (const propertyName of evaluated.properties) {
+    annotations.properties.add(propertyName);
+  }
+  for (const index of evaluated.items) {
+    annotations.items.add(index);
+  }
+};`],
+  ["addItems", `const addItems = (evaluated, length) => {
+  for (let index = 0; index < length; index++) {
+    evaluated.items.add(index);
+  }
+};`],
+  ["dynamicScope", `const dynamicScope = [];`],
+  ["withDynamicScope", `const withDynamicScope = (uri, evaluate) => {
+  const isNewScope = dynamicScope.at(-1) !== uri;
+  if (isNewScope) dynamicScope.push(uri);
+  try {
+    return evaluate();
+  } finally {
+    if (isNewScope) dynamicScope.pop();
+  }
+};`],
+  ["dynamicSchema", `const dynamicSchema = (anchor, schema) => {
+  for (const scopeUri of dynamicScope) {
+    const dynamicAnchorSchema = dynamicAnchors.get(scopeUri + "#" + anchor);
+    if (dynamicAnchorSchema) return dynamicAnchorSchema;
   }
+  return schema;
+};`]
+];
 
-  let isValid = true;
-  for (const propertyNode of instanceNode.children) {
-    /** @type JsonStringNode */
-    const keyNode = {
-      type: "json",
-      jsonType: "string",
-      value: propertyNode.children[0].value,
-      location: JsonPointer.append(propertyNode.children[0].value, instanceNode.location)
-    };
-    const schemaOutput = validateSchema(propertyNamesNode, keyNode);
-    if (!schemaOutput.valid) {
-      isValid = false;
+/** @type Map<string, KeywordGenerator> */
+const keywordGenerators = new Map();
+
+/**
+ * Keyword generators that replace the default generator of a keyword in a
+ * vocabulary where the keyword has different semantics.
+ *
+ * @type Map<string, Map<string, KeywordGenerator>>
+ */
+const vocabularyKeywordGenerators = new Map();
+
+/** @type (keyword: string, vocabularies: Set<string>) => KeywordGenerator | undefined */
+const enabledKeywordGenerator = (keyword, vocabularies) => {
+  for (const vocabularyUri of vocabularies) {
+    const keywordGenerator = vocabularyKeywordGenerators.get(vocabularyUri)?.get(keyword);
+    if (keywordGenerator) {
+      return keywordGenerator;
     }
   }
 
-  return new Output(isValid, propertyNamesNode, instanceNode);
-});
+  return keywordGenerators.get(keyword);
+};
 
-keywordHandlers.set("const", (constNode, instanceNode) => {
-  const isValid = jsonStringify(jsonValue(instanceNode)) === jsonStringify(jsonValue(constNode));
-  return new Output(isValid, constNode, instanceNode);
+/** @type KeywordGenerator */
+const annotationKeywordGenerator = () => "";
+
+for (const keyword of ["$id", "$anchor", "$dynamicAnchor", "title", "description", "default", "examples", "deprecated", "readOnly", "writeOnly"]) {
+  keywordGenerators.set(keyword, annotationKeywordGenerator);
+}
+
+// The `if` subschema only contributes annotations
+keywordGenerators.set("if", (ifNode, schemaNode, context) => {
+  return `if (evaluated !== null) ${context.schemaFunction(ifNode)}(instance, evaluated);`;
 });
 
-keywordHandlers.set("dependentRequired", (dependentRequiredNode, instanceNode) => {
-  if (instanceNode.jsonType !== "object") {
-    return new Output(true, dependentRequiredNode, instanceNode);
-  }
+keywordGenerators.set("$ref", (refNode, schemaNode, context) => {
+  assertNodeType(refNode, "string");
 
-  assertNodeType(dependentRequiredNode, "object");
+  const baseUri = baseUriOf(refNode);
+  const uri = resolveReference(refNode.value, baseUri);
+  const schemaFunction = context.schemaFunction(getSchema(uri, baseUri));
+  return `if (!${schemaFunction}(instance, evaluated)) return false;`;
+});
 
-  let isValid = true;
-  for (const propertyNode of dependentRequiredNode.children) {
-    const [keyNode, requiredPropertiesNode] = propertyNode.children;
-    if (jsonObjectHas(keyNode.value, instanceNode)) {
-      assertNodeType(requiredPropertiesNode, "array");
-      const isConditionValid = requiredPropertiesNode.children.every((requiredPropertyNode) => {
-        assertNodeType(requiredPropertyNode, "string");
-        return jsonObjectHas(requiredPropertyNode.value, instanceNode);
-      });
+keywordGenerators.set("$dynamicRef", (dynamicRefNode, schemaNode, context) => {
+  assertNodeType(dynamicRefNode, "string");
 
-      if (!isConditionValid) {
-        isValid = false;
-      }
-    }
+  const baseUri = baseUriOf(dynamicRefNode);
+  const uri = resolveReference(dynamicRefNode.value, baseUri);
+  const referencedSchemaNode = getSchema(uri, baseUri);
+  const schemaFunction = context.schemaFunction(referencedSchemaNode);
+
+  const anchor = fragmentOf(uri);
+  if (!hasDynamicAnchor(anchor, referencedSchemaNode)) {
+    return `if (!${schemaFunction}(instance, evaluated)) return false;`;
   }
 
-  return new Output(isValid, dependentRequiredNode, instanceNode);
+  context.dynamicAnchor(anchor);
+  return `if (!dynamicSchema(${JSON.stringify(anchor)}, ${schemaFunction})(instance, evaluated)) return false;`;
 });
 
-keywordHandlers.set("enum", (enumNode, instanceNode) => {
-  assertNodeType(enumNode, "array");
-
-  const instanceValue = jsonStringify(jsonValue(instanceNode));
-  for (const enumItemNode of enumNode.children) {
-    if (jsonStringify(jsonValue(enumItemNode)) === instanceValue) {
-      return new Output(true, enumNode, instanceNode);
+keywordGenerators.set("additionalProperties", (additionalPropertiesNode, schemaNode, context) => {
+  const isDefinedProperty = context.constant(regExpExpression(definedPropertyPattern(schemaNode).source));
+  const schemaFunction = context.schemaFunction(additionalPropertiesNode);
+  return `if (jsonType(instance) === "object") {
+  for (const name of Object.keys(instance)) {
+    if (!${isDefinedProperty}.test(name)) {
+      if (!${schemaFunction}(instance[name], null)) return false;
+      evaluated?.properties.add(name);
     }
   }
-  return new Output(false, enumNode, instanceNode);
+}`;
 });
 
-keywordHandlers.set("exclusiveMaximum", (exclusiveMaximumNode, instanceNode) => {
-  if (instanceNode.jsonType !== "number") {
-    return new Output(true, exclusiveMaximumNode, instanceNode);
-  }
+keywordGenerators.set("allOf", (allOfNode, schemaNode, context) => {
+  assertNodeType(allOfNode, "array");
 
-  assertNodeType(exclusiveMaximumNode, "number");
+  return allOfNode.children
+    .map((subschemaNode) => `if (!${context.schemaFunction(subschemaNode)}(instance, evaluated)) return false;`)
+    .join("\n");
+});
 
-  const isValid = instanceNode.value < exclusiveMaximumNode.value;
-  return new Output(isValid, exclusiveMaximumNode, instanceNode);
+// Every subschema needs to be evaluated only if annotations are being
+// collected
+keywordGenerators.set("anyOf", (anyOfNode, schemaNode, context) => {
+  assertNodeType(anyOfNode, "array");
+
+  const schemaFunctions = anyOfNode.children.map((subschemaNode) => context.schemaFunction(subschemaNode));
+  const anyValid = schemaFunctions.map((schemaFunction) => `${schemaFunction}(instance, null)`).join(" || ");
+  const results = schemaFunctions.map((schemaFunction) => `${schemaFunction}(instance, evaluated)`).join(", ");
+  return `if (!(evaluated === null ? ${anyValid || "false"} : [${results}].includes(true))) return false;`;
 });
 
-keywordHandlers.set("exclusiveMinimum", (exclusiveMinimumNode, instanceNode) => {
-  if (instanceNode.jsonType !== "number") {
-    return new Output(true, exclusiveMinimumNode, instanceNode);
-  }
+keywordGenerators.set("oneOf", (oneOfNode, schemaNode, context) => {
+  assertNodeType(oneOfNode, "array");
 
-  assertNodeType(exclusiveMinimumNode, "number");
+  const matches = oneOfNode.children
+    .map((subschemaNode) => `  if (${context.schemaFunction(subschemaNode)}(instance, evaluated)) matches++;`);
+  return `{
+  let matches = 0;
+${matches.join("\n")}
+  if (matches !== 1) return false;
+}`;
+});
 
-  const isValid = instanceNode.value > exclusiveMinimumNode.value;
-  return new Output(isValid, exclusiveMinimumNode, instanceNode);
+keywordGenerators.set("not", (notNode, schemaNode, context) => {
+  return `if (${context.schemaFunction(notNode)}(instance, null)) return false;`;
 });
 
-keywordHandlers.set("maxItems", (maxItemsNode, instanceNode) => {
-  if (instanceNode.jsonType !== "array") {
-    return new Output(true, maxItemsNode, instanceNode);
+keywordGenerators.set("contains", (containsNode, schemaNode, context) => {
+  let minContains = 1;
+  if (jsonObjectHas("minContains", schemaNode)) {
+    const minContainsNode = jsonPointerStep("minContains", schemaNode);
+    if (minContainsNode.jsonType === "number") {
+      minContains = minContainsNode.value;
+    }
   }
 
-  assertNodeType(maxItemsNode, "number");
-
-  const isValid = instanceNode.children.length <= maxItemsNode.value;
-  return new Output(isValid, maxItemsNode, instanceNode);
-});
+  let maxContains = Number.MAX_SAFE_INTEGER;
+  if (jsonObjectHas("maxContains", schemaNode)) {
+    const maxContainsNode = jsonPointerStep("maxContains", schemaNode);
+    if (maxContainsNode.jsonType === "number") {
+      maxContains = maxContainsNode.value;
+    }
+  }
 
-keywordHandlers.set("minItems", (minItemsNode, instanceNode) => {
-  if (instanceNode.jsonType !== "array") {
-    return new Output(true, minItemsNode, instanceNode);
+  return `if (Array.isArray(instance)) {
+  let matches = 0;
+  for (let index = 0; index < instance.length; index++) {
+    if (${context.schemaFunction(containsNode)}(instance[index], null)) {
+      matches++;
+      evaluated?.items.add(index);
+    }
   }
+  if (matches < ${minContains} || matches > ${maxContains}) return false;
+}`;
+});
 
-  assertNodeType(minItemsNode, "number");
+keywordGenerators.set("dependentSchemas", (dependentSchemasNode, schemaNode, context) => {
+  assertNodeType(dependentSchemasNode, "object");
 
-  const isValid = instanceNode.children.length >= minItemsNode.value;
-  return new Output(isValid, minItemsNode, instanceNode);
+  const dependencies = dependentSchemasNode.children.map((propertyNode) => {
+    const [keyNode, subschemaNode] = propertyNode.children;
+    return `  if (Object.hasOwn(instance, ${JSON.stringify(keyNode.value)}) && !${context.schemaFunction(subschemaNode)}(instance, evaluated)) return false;`;
+  });
+  return `if (jsonType(instance) === "object") {
+${dependencies.join("\n")}
+}`;
 });
 
-keywordHandlers.set("maxLength", (maxLengthNode, instanceNode) => {
-  if (instanceNode.jsonType !== "string") {
-    return new Output(true, maxLengthNode, instanceNode);
+keywordGenerators.set("then", (thenNode, schemaNode, context) => {
+  if (!jsonObjectHas("if", schemaNode)) {
+    return "";
   }
 
-  assertNodeType(maxLengthNode, "number");
-
-  const isValid = [...instanceNode.value].length <= maxLengthNode.value;
-  return new Output(isValid, maxLengthNode, instanceNode);
+  const ifSchemaFunction = context.schemaFunction(jsonPointerStep("if", schemaNode));
+  return `if (${ifSchemaFunction}(instance, null) && !${context.schemaFunction(thenNode)}(instance, evaluated)) return false;`;
 });
 
-keywordHandlers.set("minLength", (minLengthNode, instanceNode) => {
-  if (instanceNode.jsonType !== "string") {
-    return new Output(true, minLengthNode, instanceNode);
+keywordGenerators.set("else", (elseNode, schemaNode, context) => {
+  if (!jsonObjectHas("if", schemaNode)) {
+    return "";
   }
 
-  assertNodeType(minLengthNode, "number");
-
-  const isValid = [...instanceNode.value].length >= minLengthNode.value;
-  return new Output(isValid, minLengthNode, instanceNode);
+  const ifSchemaFunction = context.schemaFunction(jsonPointerStep("if", schemaNode));
+  return `if (!${ifSchemaFunction}(instance, null) && !${context.schemaFunction(elseNode)}(instance, evaluated)) return false;`;
 });
 
-keywordHandlers.set("maxProperties", (maxPropertiesNode, instanceNode) => {
-  if (instanceNode.jsonType !== "object") {
-    return new Output(true, maxPropertiesNode, instanceNode);
+keywordGenerators.set("items", (itemsNode, schemaNode, context) => {
+  let numberOfPrefixItems = 0;
+  if (jsonObjectHas("prefixItems", schemaNode)) {
+    const prefixItemsNode = jsonPointerStep("prefixItems", schemaNode);
+    if (prefixItemsNode.jsonType === "array") {
+      numberOfPrefixItems = prefixItemsNode.children.length;
+    }
   }
 
-  assertNodeType(maxPropertiesNode, "number");
-
-  const isValid = instanceNode.children.length <= maxPropertiesNode.value;
-  return new Output(isValid, maxPropertiesNode, instanceNode);
+  return `if (Array.isArray(instance)) {
+  for (let index = ${numberOfPrefixItems}; index < instance.length; index++) {
+    if (!${context.schemaFunction(itemsNode)}(instance[index], null)) return false;
+  }
+  if (evaluated !== null && instance.length > ${numberOfPrefixItems}) addItems(evaluated, instance.length);
+}`;
 });
 
-keywordHandlers.set("minProperties", (minPropertiesNode, instanceNode) => {
-  if (instanceNode.jsonType !== "object") {
-    return new Output(true, minPropertiesNode, instanceNode);
+keywordGenerators.set("patternProperties", (patternPropertiesNode, schemaNode, context) => {
+  assertNodeType(patternPropertiesNode, "object");
+
+  const patternProperties = patternPropertiesNode.children.map((propertyNode) => {
+    const [patternNode, patternSchemaNode] = propertyNode.children;
+    const pattern = context.constant(regExpExpression(patternNode.value));
+    return `    if (${pattern}.test(name)) {
+      if (!${context.schemaFunction(patternSchemaNode)}(instance[name], null)) return false;
+      evaluated?.properties.add(name);
+    }`;
+  });
+  return `if (jsonType(instance) === "object") {
+  for (const name of Object.keys(instance)) {
+${patternProperties.join("\n")}
   }
+}`;
+});
 
-  assertNodeType(minPropertiesNode, "number");
+keywordGenerators.set("prefixItems", (prefixItemsNode, schemaNode, context) => {
+  assertNodeType(prefixItemsNode, "array");
 
-  const isValid = instanceNode.children.length >= minPropertiesNode.value;
-  return new Output(isValid, minPropertiesNode, instanceNode);
+  const prefixItems = prefixItemsNode.children.map((itemSchemaNode, index) => {
+    return `  if (instance.length > ${index} && !${context.schemaFunction(itemSchemaNode)}(instance[${index}], null)) return false;`;
+  });
+  return `if (Array.isArray(instance)) {
+${prefixItems.join("\n")}
+  if (evaluated !== null) addItems(evaluated, Math.min(instance.length, ${prefixItems.length}));
+}`;
 });
 
-keywordHandlers.set("maximum", (maximumNode, instanceNode) => {
-  if (instanceNode.jsonType !== "number") {
-    return new Output(true, maximumNode, instanceNode);
-  }
+keywordGenerators.set("properties", (propertiesNode, schemaNode, context) => {
+  assertNodeType(propertiesNode, "object");
 
-  assertNodeType(maximumNode, "number");
+  const properties = propertiesNode.children.map((propertyNode) => {
+    const [propertyNameNode, propertySchemaNode] = propertyNode.children;
+    const propertyName = JSON.stringify(propertyNameNode.value);
+    return `  if (Object.hasOwn(instance, ${propertyName})) {
+    if (!${context.schemaFunction(propertySchemaNode)}(instance[${propertyName}], null)) return false;
+    evaluated?.properties.add(${propertyName});
+  }`;
+  });
+  return `if (jsonType(instance) === "object") {
+${properties.join("\n")}
+}`;
+});
 
-  const isValid = instanceNode.value <= maximumNode.value;
-  return new Output(isValid, maximumNode, instanceNode);
+keywordGenerators.set("propertyNames", (propertyNamesNode, schemaNode, context) => {
+  return `if (jsonType(instance) === "object") {
+  for (const name of Object.keys(instance)) {
+    if (!${context.schemaFunction(propertyNamesNode)}(name, null)) return false;
+  }
+}`;
 });
 
-keywordHandlers.set("minimum", (minimumNode, instanceNode) => {
-  if (instanceNode.jsonType !== "number") {
-    return new Output(true, minimumNode, instanceNode);
+keywordGenerators.set("const", (constNode, schemaNode, context) => {
+  const constValue = context.constant(`canonicalJson(${jsonExpression(constNode)})`);
+  return `if (canonicalJson(instance) !== ${constValue}) return false;`;
+});
+
+keywordGenerators.set("dependentRequired", (dependentRequiredNode) => {
+  assertNodeType(dependentRequiredNode, "object");
+
+  const dependencies = [];
+  for (const propertyNode of dependentRequiredNode.children) {
+    const [keyNode, requiredPropertiesNode] = propertyNode.children;
+    assertNodeType(requiredPropertiesNode, "array");
+    const requiredProperties = requiredPropertiesNode.children.map((requiredPropertyNode) => {
+      assertNodeType(requiredPropertyNode, "string");
+      return requiredPropertyNode.value;
+    });
+
+    if (requiredProperties.length > 0) {
+      dependencies.push(`  if (Object.hasOwn(instance, ${JSON.stringify(keyNode.value)}) && !(${hasPropertiesExpression(requiredProperties)})) return false;`);
+    }
   }
 
-  assertNodeType(minimumNode, "number");
+  return `if (jsonType(instance) === "object") {
+${dependencies.join("\n")}
+}`;
+});
 
-  const isValid = instanceNode.value >= minimumNode.value;
-  return new Output(isValid, minimumNode, instanceNode);
+keywordGenerators.set("enum", (enumNode, schemaNode, context) => {
+  assertNodeType(enumNode, "array");
+
+  const enumValues = context.constant(`new Set([${enumNode.children.map(jsonExpression).join(", ")}].map(canonicalJson))`);
+  return `if (!${enumValues}.has(canonicalJson(instance))) return false;`;
 });
 
-keywordHandlers.set("multipleOf", (multipleOfNode, instanceNode) => {
-  if (instanceNode.jsonType !== "number") {
-    return new Output(true, multipleOfNode, instanceNode);
-  }
+/** @type (type: string, condition: (limit: string) => string) => (keywordNode: JsonNode) => string */
+const numberKeywordGenerator = (type, condition) => (keywordNode) => {
+  assertNodeType(keywordNode, "number");
+  return `if (${type} && !(${condition(JSON.stringify(keywordNode.value))})) return false;`;
+};
 
+const isNumber = `typeof instance === "number"`;
+const isString = `typeof instance === "string"`;
+const isArray = `Array.isArray(instance)`;
+const isObject = `jsonType(instance) === "object"`;
+
+keywordGenerators.set("exclusiveMaximum", numberKeywordGenerator(isNumber, (limit) => `instance < ${limit}`));
+keywordGenerators.set("exclusiveMinimum", numberKeywordGenerator(isNumber, (limit) => `instance > ${limit}`));
+keywordGenerators.set("maximum", numberKeywordGenerator(isNumber, (limit) => `instance <= ${limit}`));
+keywordGenerators.set("minimum", numberKeywordGenerator(isNumber, (limit) => `instance >= ${limit}`));
+keywordGenerators.set("maxItems", numberKeywordGenerator(isArray, (limit) => `instance.length <= ${limit}`));
+keywordGenerators.set("minItems", numberKeywordGenerator(isArray, (limit) => `instance.length >= ${limit}`));
+keywordGenerators.set("maxLength", numberKeywordGenerator(isString, (limit) => `[...instance].length <= ${limit}`));
+keywordGenerators.set("minLength", numberKeywordGenerator(isString, (limit) => `[...instance].length >= ${limit}`));
+keywordGenerators.set("maxProperties", numberKeywordGenerator(isObject, (limit) => `Object.keys(instance).length <= ${limit}`));
+keywordGenerators.set("minProperties", numberKeywordGenerator(isObject, (limit) => `Object.keys(instance).length >= ${limit}`));
+
+keywordGenerators.set("multipleOf", (multipleOfNode) => {
   assertNodeType(multipleOfNode, "number");
 
-  const remainder = instanceNode.value % multipleOfNode.value;
-  const isValid = numberEqual(0, remainder) || numberEqual(multipleOfNode.value, remainder);
-  return new Output(isValid, multipleOfNode, instanceNode);
+  const multipleOf = JSON.stringify(multipleOfNode.value);
+  return `if (typeof instance === "number") {
+  const remainder = instance % ${multipleOf};
+  if (!numberEqual(0, remainder) && !numberEqual(${multipleOf}, remainder)) return false;
+}`;
 });
 
-/** @type (a: number, b: number) => boolean */
-const numberEqual = (a, b) => Math.abs(a - b) < 1.19209290e-7;
+keywordGenerators.set("pattern", (patternNode, schemaNode, context) => {
+  assertNodeType(patternNode, "string");
 
-keywordHandlers.set("pattern", (patternNode, instanceNode) => {
-  if (instanceNode.jsonType !== "string") {
-    return new Output(true, patternNode, instanceNode);
-  }
+  const pattern = context.constant(regExpExpression(patternNode.value));
+  return `if (typeof instance === "string" && !${pattern}.test(instance)) return false;`;
+});
 
-  assertNodeType(patternNode, "string");
+keywordGenerators.set("required", (requiredNode) => {
+  assertNodeType(requiredNode, "array");
 
-  const isValid = new RegExp(patternNode.value, "u").test(instanceNode.value);
-  return new Output(isValid, patternNode, instanceNode);
+  const requiredProperties = requiredNode.children.map((requiredPropertyNode) => {
+    assertNodeType(requiredPropertyNode, "string");
+    return requiredPropertyNode.value;
+  });
+  if (requiredProperties.length === 0) {
+    return "";
+  }
+
+  return `if (jsonType(instance) === "object" && !(${hasPropertiesExpression(requiredProperties)})) return false;`;
 });
 
-keywordHandlers.set("required", (requiredNode, instanceNode) => {
-  if (instanceNode.jsonType !== "object") {
-    return new Output(true, requiredNode, instanceNode);
+keywordGenerators.set("type", (typeNode) => {
+  /** @type string[] */
+  let types;
+  if (typeNode.jsonType === "string") {
+    types = [typeNode.value];
+  } else if (typeNode.jsonType === "array") {
+    types = typeNode.children.map((itemNode) => {
+      if (itemNode.jsonType !== "string") {
+        throw Error("Invalid Schema");
+      }
+      return itemNode.value;
+    });
+  } else {
+    throw Error("Invalid Schema");
   }
 
-  assertNodeType(requiredNode, "array");
-  for (const requiredPropertyNode of requiredNode.children) {
-    assertNodeType(requiredPropertyNode, "string");
-    if (!jsonObjectHas(requiredPropertyNode.value, instanceNode)) {
-      return new Output(false, requiredNode, instanceNode);
-    }
+  const isType = types
+    .map((type) => type === "integer" ? "Number.isInteger(instance)" : `jsonType(instance) === ${JSON.stringify(type)}`)
+    .join(" || ");
+  return `if (!(${isType || "false"})) return false;`;
+});
+
+keywordGenerators.set("uniqueItems", (uniqueItemsNode) => {
+  assertNodeType(uniqueItemsNode, "boolean");
+
+  if (uniqueItemsNode.value === false) {
+    return "";
   }
-  return new Output(true, requiredNode, instanceNode);
+
+  return `if (Array.isArray(instance) && new Set(instance.map(canonicalJson)).size !== instance.length) return false;`;
 });
 
-keywordHandlers.set("type", (typeNode, instanceNode) => {
-  if (typeNode.type === "json") {
-    if (typeNode.jsonType === "string") {
-      return new Output(isTypeOf(instanceNode, typeNode.value), typeNode, instanceNode);
-    }
+/** @type (formats: Map<string, (value: string) => boolean>) => KeywordGenerator */
+const formatKeywordGenerator = (formats) => (formatNode, schemaNode, context) => {
+  assertNodeType(formatNode, "string");
 
-    if (typeNode.jsonType === "array") {
-      for (const itemNode of typeNode.children) {
-        if (itemNode.type !== "json" || itemNode.jsonType != "string") {
-          throw Error("Invalid Schema");
-        }
+  const isFormat = formats.get(formatNode.value);
+  const vocabularies = vocabulariesOf(baseUriOf(formatNode));
+  const isFormatAssertion = shouldValidateFormat || vocabularies.has(formatAssertionVocabularyUri);
+  if (!isFormatAssertion || !isFormat) {
+    return "";
+  }
 
-        if (isTypeOf(instanceNode, itemNode.value)) {
-          return new Output(true, typeNode, instanceNode);
-        }
-      }
+  return `if (typeof instance === "string" && !${context.format(isFormat)}(instance)) return false;`;
+};
 
-      return new Output(false, typeNode, instanceNode);
+keywordGenerators.set("format", formatKeywordGenerator(formats));
+
+keywordGenerators.set("unevaluatedProperties", (unevaluatedPropertiesNode, schemaNode, context) => {
+  return `if (jsonType(instance) === "object") {
+  for (const name of Object.keys(instance)) {
+    if (!evaluated.properties.has(name)) {
+      if (!${context.schemaFunction(unevaluatedPropertiesNode)}(instance[name], null)) return false;
+      evaluated.properties.add(name);
     }
   }
+}`;
+});
 
-  throw Error("Invalid Schema");
+keywordGenerators.set("unevaluatedItems", (unevaluatedItemsNode, schemaNode, context) => {
+  return `if (Array.isArray(instance)) {
+  for (let index = 0; index < instance.length; index++) {
+    if (!evaluated.items.has(index) && !${context.schemaFunction(unevaluatedItemsNode)}(instance[index], null)) return false;
+  }
+  addItems(evaluated, instance.length);
+}`;
 });
 
-/** @type (instanceNode: JsonNode, type: string) => boolean */
-const isTypeOf = (instance, type) => type === "integer"
-  ? instance.jsonType === "number" && Number.isInteger(instance.value)
-  : instance.jsonType === type;
+/** @type Map<string, KeywordGenerator> */
+const draft07KeywordGenerators = new Map();
+vocabularyKeywordGenerators.set(draft07DialectUri, draft07KeywordGenerators);
+
+/** @type Map<string, KeywordGenerator> */
+const draft04KeywordGenerators = new Map();
+vocabularyKeywordGenerators.set(draft04DialectUri, draft04KeywordGenerators);
+
+/** @type KeywordGenerator */
+const legacyItemsKeywordGenerator = (itemsNode, schemaNode, context) => {
+  if (itemsNode.jsonType === "array") {
+    const items = itemsNode.children.map((itemSchemaNode, index) => {
+      return `  if (instance.length > ${index} && !${context.schemaFunction(itemSchemaNode)}(instance[${index}], null)) return false;`;
+    });
+    return `if (Array.isArray(instance)) {
+${items.join("\n")}
+}`;
+  }
 
-keywordHandlers.set("uniqueItems", (uniqueItemsNode, instanceNode) => {
-  if (instanceNode.jsonType !== "array") {
-    return new Output(true, uniqueItemsNode, instanceNode);
+  return `if (Array.isArray(instance)) {
+  for (let index = 0; index < instance.length; index++) {
+    if (!${context.schemaFunction(itemsNode)}(instance[index], null)) return false;
   }
+}`;
+};
 
-  assertNodeType(uniqueItemsNode, "boolean");
+draft07KeywordGenerators.set("items", legacyItemsKeywordGenerator);
+draft04KeywordGenerators.set("items", legacyItemsKeywordGenerator);
 
-  if (uniqueItemsNode.value === false) {
-    return new Output(true, uniqueItemsNode, instanceNode);
+/** @type KeywordGenerator */
+const additionalItemsKeywordGenerator = (additionalItemsNode, schemaNode, context) => {
+  if (!jsonObjectHas("items", schemaNode)) {
+    return "";
   }
 
-  const normalizedItems = instanceNode.children.map((itemNode) => jsonStringify(jsonValue(itemNode)));
-  const isValid = new Set(normalizedItems).size === normalizedItems.length;
-  return new Output(isValid, uniqueItemsNode, instanceNode);
-});
+  const itemsNode = jsonPointerStep("items", schemaNode);
+  if (itemsNode.jsonType !== "array") {
+    return "";
+  }
 
-keywordHandlers.set("$id", (idNode, instanceNode, schemaNode) => {
-  if (!idNode.location.endsWith("#/$id")) {
-    throw Error(`Embedded schemas are not supported. Found at ${schemaNode.location}`);
+  return `if (Array.isArray(instance)) {
+  for (let index = ${itemsNode.children.length}; index < instance.length; index++) {
+    if (!${context.schemaFunction(additionalItemsNode)}(instance[index], null)) return false;
   }
+}`;
+};
 
-  return new Output(true, idNode, instanceNode);
-});
+draft07KeywordGenerators.set("additionalItems", additionalItemsKeywordGenerator);
+draft04KeywordGenerators.set("additionalItems", additionalItemsKeywordGenerator);
 
-keywordHandlers.set("$anchor", (anchorNode) => {
-  throw Error(`The '$anchor' keyword is not supported. Found at ${anchorNode.location}`);
-});
+/** @type KeywordGenerator */
+const dependenciesKeywordGenerator = (dependenciesNode, schemaNode, context) => {
+  assertNodeType(dependenciesNode, "object");
 
-keywordHandlers.set("$dynamicAnchor", (dynamicAnchorNode) => {
-  throw Error(`The '$dynamicAnchor' keyword is not supported. Found at ${dynamicAnchorNode.location}`);
-});
+  const dependencies = [];
+  for (const propertyNode of dependenciesNode.children) {
+    const [keyNode, dependencyNode] = propertyNode.children;
+    const hasKey = `Object.hasOwn(instance, ${JSON.stringify(keyNode.value)})`;
+    if (dependencyNode.jsonType === "array") {
+      const requiredProperties = dependencyNode.children.map((requiredPropertyNode) => {
+        assertNodeType(requiredPropertyNode, "string");
+        return requiredPropertyNode.value;
+      });
+
+      if (requiredProperties.length > 0) {
+        dependencies.push(`  if (${hasKey} && !(${hasPropertiesExpression(requiredProperties)})) return false;`);
+      }
+    } else {
+      dependencies.push(`  if (${hasKey} && !${context.schemaFunction(dependencyNode)}(instance, evaluated)) return false;`);
+    }
+  }
+
+  return `if (jsonType(instance) === "object") {
+${dependencies.join("\n")}
+}`;
+};
+
+draft07KeywordGenerators.set("dependencies", dependenciesKeywordGenerator);
+draft04KeywordGenerators.set("dependencies", dependenciesKeywordGenerator);
 
-keywordHandlers.set("$dynamicRef", (dynamicRefNode) => {
-  throw Error(`The '$dynamicRef' keyword is not supported. Found at ${dynamicRefNode.location}`);
+draft07KeywordGenerators.set("format", formatKeywordGenerator(draft07Formats));
+draft04KeywordGenerators.set("format", formatKeywordGenerator(draft04Formats));
+
+draft04KeywordGenerators.set("maximum", (maximumNode, schemaNode) => {
+  const operator = isExclusive("exclusiveMaximum", schemaNode) ? "<" : "<=";
+  return numberKeywordGenerator(isNumber, (limit) => `instance ${operator} ${limit}`)(maximumNode);
 });
 
-keywordHandlers.set("unevaluatedProperties", (unevaluatedPropertiesNode) => {
-  throw Error(`The 'unevaluatedProperties' keyword is not supported. Found at ${unevaluatedPropertiesNode.location}`);
+draft04KeywordGenerators.set("minimum", (minimumNode, schemaNode) => {
+  const operator = isExclusive("exclusiveMinimum", schemaNode) ? ">" : ">=";
+  return numberKeywordGenerator(isNumber, (limit) => `instance ${operator} ${limit}`)(minimumNode);
 });
 
-keywordHandlers.set("unevaluatedItems", (unevaluatedItemsNode) => {
-  throw Error(`The 'unevaluatedItems' keyword is not supported. Found at ${unevaluatedItemsNode.location}`);
+draft04KeywordGenerators.set("exclusiveMaximum", annotationKeywordGenerator);
+draft04KeywordGenerators.set("exclusiveMinimum", annotationKeywordGenerator);
+
+// The meta-schemas of the supported dialects are available in every registry
+// and don't need to be validated
+const builtInSchemas = metaSchemas.flatMap(([uri, metaSchema]) => {
+  return identifySchemas(/** @type Json */ (metaSchema), uri, dialectUri);
 });
+for (const [, schemaNode] of builtInSchemas) {
+  validatedSchemas.add(schemaNode);
+}
+addSchemas(builtInSchemas);
@@ -0,0 +1,141 @@
+import { describe, test, expect } from "vitest";
+import { addKeyword, registerSchema, validate, validateSchema, Output, BASIC } from "./index.js";
+
+/**
+ * @import { Json } from "./jsonast.d.ts"
+ */
+
+
+describe("Infinite loops", () => {
+  test.each([
+    ["$refs that refer to each other", {
+      $defs: {
+        a: { $ref: "#/$defs/b" },
+        b: { $ref: "#/$defs/a" }
+      },
+      $ref: "#/$defs/a"
+    }, {}, "Infinite loop evaluating instance location '#': #/$defs/a -> #/$defs/b -> #/$defs/a"],
+    ["$ref to itself", {
+      $defs: {
+        a: { $ref: "#/$defs/a" }
+      },
+      properties: {
+        foo: { $ref: "#/$defs/a" }
+      }
+    }, { foo: 1 }, "Infinite loop evaluating instance location '#/foo': #/$defs/a -> #/$defs/a"],
+    ["$ref through an in-place applicator", {
+      anyOf: [{ $ref: "#" }]
+    }, 1, "Infinite loop evaluating instance location '#': # -> #/anyOf/0 -> #"]
+  ])("evaluation: %s", (_name, schema, instance, message) => {
+    expect(() => validate(schema, instance, BASIC)).to.throw(message);
+  });
+
+  test("recursive schemas that evaluate part of the instance aren't loops", () => {
+    /** @type Json */
+    const schema = {
+      type: "object",
+      properties: {
+        children: { type: "array", items: { $ref: "#" } }
+      }
+    };
+    expect(validate(schema, { children: [{ children: [] }, {}] }).valid).to.equal(true);
+  });
+
+  test("evaluation can continue after a loop", () => {
+    const schema = { $ref: "#" };
+    expect(() => validate(schema, 1)).to.throw("Infinite loop");
+    expect(validate({ $ref: "#/$defs/a", $defs: { a: true } }, 1).valid).to.equal(true);
+  });
+
+  test("custom keywords that evaluate the same schema again", () => {
+    addKeyword("x-again", (keywordNode, instanceNode, schemaNode) => {
+      const output = validateSchema(schemaNode, instanceNode);
+      return new Output(output.valid, keywordNode, instanceNode, [output]);
+    });
+    expect(() => validate({ "x-again": true }, 1)).to.throw("Infinite loop evaluating instance location '#': # -> #");
+  });
+
+  test("evaluation can continue after a caught loop error", () => {
+    let isLooping = true;
+    addKeyword("x-loop-once", (keywordNode, instanceNode, schemaNode) => {
+      const outputs = isLooping ? [validateSchema(schemaNode, instanceNode)] : [];
+      return new Output(true, keywordNode, instanceNode, outputs);
+    });
+    addKeyword("x-retry", (keywordNode, instanceNode) => {
+      let output;
+      try {
+        output = validateSchema(keywordNode, instanceNode);
+      } catch {
+        isLooping = false;
+        output = validateSchema(keywordNode, instanceNode);
+      }
+      return new Output(output.valid, keywordNode, instanceNode, [output]);
+    });
+
+    expect(validate({ "x-retry": { "x-loop-once": true } }, 1, BASIC).valid).to.equal(true);
+  });
+
+  test("custom keywords that validate while a loop is being evaluated", () => {
+    addKeyword("x-nested-validate", (keywordNode, instanceNode) => {
+      return new Output(validate({ type: "number" }, 1).valid, keywordNode, instanceNode);
+    });
+
+    /** @type Json */
+    const schema = {
+      $defs: {
+        a: { "x-nested-validate": true, $ref: "#/$defs/b" },
+        b: { $ref: "#/$defs/a" }
+      },
+      $ref: "#/$defs/a"
+    };
+    expect(() => validate(schema, {})).to.throw("Infinite loop evaluating instance location '#': #/$defs/a -> #/$defs/b -> #/$defs/a");
+  });
+
+  test.each([
+    ["$refs that refer to each other", "https://example.com/loops/1", {
+      $defs: {
+        a: { $ref: "#/$defs/b" },
+        b: { $ref: "#/$defs/a" }
+      }
+    }, "Infinite loop in schema: https://example.com/loops/1#/$defs/a -> https://example.com/loops/1#/$defs/b -> https://example.com/loops/1#/$defs/a"],
+    ["$ref to an anchor", "https://example.com/loops/2", {
+      $defs: {
+        a: { $anchor: "a", allOf: [{ $ref: "#a" }] }
+      }
+    }, "Infinite loop in schema: https://example.com/loops/2#/$defs/a -> https://example.com/loops/2#/$defs/a/allOf/0 -> https://example.com/loops/2#/$defs/a"],
+    ["in-place applicators", "https://example.com/loops/3", {
+      if: { then: { not: { $ref: "#" } } }
+    }, "Infinite loop in schema: https://example.com/loops/3# -> https://example.com/loops/3#/if -> https://example.com/loops/3#/if/then -> https://example.com/loops/3#/if/then/not -> https://example.com/loops/3#"]
+  ])("registration: %s", (_name, uri, schema, message) => {
+    expect(() => registerSchema(schema, uri)).to.throw(message);
+    expect(() => validate({ $ref: uri }, 1)).to.throw(`Invalid reference: ${uri}`);
+  });
+
+  test("registration: loops through other registered schemas", () => {
+    registerSchema({ $ref: "loop-b" }, "https://example.com/loops/loop-a");
+    expect(() => registerSchema({ oneOf: [true, { $ref: "loop-a" }] }, "https://example.com/loops/loop-b"))
+      .to.throw("Infinite loop in schema: https://example.com/loops/loop-b# -> https://example.com/loops/loop-b#/oneOf/1 -> https://example.com/loops/loop-a# -> https://example.com/loops/loop-b#");
+  });
+
+  test("registration: applicators that evaluate part of the instance aren't loops", () => {
+    expect(() => registerSchema({
+      properties: { foo: { $ref: "#" } },
+      items: { $ref: "#" },
+      not: { $ref: "#/$defs/list" },
+      $defs: {
+        list: { type: "array", contains: { $ref: "#/$defs/list" } }
+      }
+    }, "https://example.com/loops/recursive")).not.to.throw();
+  });
+
+  test("registration: before 2019-09, siblings of $ref are ignored", () => {
+    expect(() => registerSchema({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      $ref: "#/definitions/foo",
+      allOf: [{ $ref: "#" }],
+      definitions: {
+        foo: { type: "string" }
+      }
+    }, "https://example.com/loops/draft07")).not.to.throw();
+  });
+});
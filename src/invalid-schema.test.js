@@ -0,0 +1,108 @@
+import { describe, test, expect } from "vitest";
+import { addKeyword, createRegistry, validate, registerSchema, InvalidSchemaError, Output } from "./index.js";
+
+/**
+ * @import { Json } from "./jsonast.d.ts"
+ */
+
+
+/** @type (schema: Json, instance: Json) => InvalidSchemaError */
+const validationError = (schema, instance) => {
+  try {
+    validate(schema, instance);
+  } catch (error) {
+    if (error instanceof InvalidSchemaError) {
+      return error;
+    }
+    throw error;
+  }
+
+  throw Error("Expected an InvalidSchemaError");
+};
+
+describe("Invalid schemas", () => {
+  test("valid schema", () => {
+    const output = validate({ type: "string", minLength: 1 }, "foo");
+    expect(output.valid).to.equal(true);
+  });
+
+  test("invalid keyword value", () => {
+    const error = validationError({ minLength: -1 }, "foo");
+    expect(error.output.valid).to.equal(false);
+    expect(error.output.errors).toContainEqual(expect.objectContaining({
+      absoluteKeywordLocation: "https://json-schema.org/draft/2020-12/meta/validation#/$defs/nonNegativeInteger/minimum",
+      instanceLocation: "#/minLength"
+    }));
+  });
+
+  test("invalid subschema", () => {
+    const error = validationError({ properties: { foo: { type: "strin" } } }, {});
+    expect(error.output.errors).toContainEqual(expect.objectContaining({
+      absoluteKeywordLocation: "https://json-schema.org/draft/2020-12/meta/validation#/$defs/simpleTypes/enum",
+      instanceLocation: "#/properties/foo/type"
+    }));
+  });
+
+  test("fails regardless of the instance", () => {
+    const error = validationError({ if: false, then: { maxLength: "3" } }, "foo");
+    expect(error.output.errors).toContainEqual(expect.objectContaining({
+      absoluteKeywordLocation: "https://json-schema.org/draft/2020-12/meta/validation#/$defs/nonNegativeInteger/type",
+      instanceLocation: "#/then/maxLength"
+    }));
+  });
+
+  test("invalid referenced schema", () => {
+    registerSchema({ type: 5 }, "https://example.com/invalid-referenced-schema");
+    const error = validationError({ $ref: "https://example.com/invalid-referenced-schema" }, "foo");
+    expect(error.output.errors).toContainEqual(expect.objectContaining({
+      absoluteKeywordLocation: "https://json-schema.org/draft/2020-12/meta/validation#/$defs/simpleTypes/enum",
+      instanceLocation: "https://example.com/invalid-referenced-schema#/type"
+    }));
+  });
+
+  test("invalid draft-07 schema", () => {
+    const error = validationError({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      items: [{ type: 1 }]
+    }, []);
+    expect(error.output.errors).toContainEqual(expect.objectContaining({
+      absoluteKeywordLocation: "http://json-schema.org/draft-07/schema#/definitions/simpleTypes/enum",
+      instanceLocation: "#/items/0/type"
+    }));
+  });
+
+  test("a schema is only validated once when it's validated again", () => {
+    let count = 0;
+    addKeyword("x-meta-count", (keywordNode, instanceNode) => {
+      count++;
+      return new Output(true, keywordNode, instanceNode);
+    });
+
+    const registry = createRegistry();
+    registry.registerSchema({
+      $schema: "https://json-schema.org/draft/2020-12/schema",
+      $id: "https://example.com/counting-meta-schema",
+      $vocabulary: {
+        "https://json-schema.org/draft/2020-12/vocab/core": true,
+        "https://json-schema.org/draft/2020-12/vocab/applicator": true,
+        "https://json-schema.org/draft/2020-12/vocab/validation": true
+      },
+      $ref: "https://json-schema.org/draft/2020-12/schema",
+      "x-meta-count": true
+    }, "https://example.com/counting-meta-schema");
+
+    const schema = { $schema: "https://example.com/counting-meta-schema", type: "string" };
+    expect(registry.validate(schema, "foo").valid).to.equal(true);
+    expect(registry.validate(schema, 1).valid).to.equal(false);
+    expect(registry.validate({ ...schema }, "bar").valid).to.equal(true);
+    expect(count).to.equal(1);
+
+    expect(registry.validate({ ...schema, minLength: 1 }, "foo").valid).to.equal(true);
+    expect(count).to.equal(2);
+  });
+
+  test("an invalid schema is invalid every time it's validated", () => {
+    expect(validationError({ minLength: -1 }, "foo").output.valid).to.equal(false);
+    expect(validationError({ minLength: -1 }, "foo").output.valid).to.equal(false);
+  });
+});
@@ -0,0 +1,338 @@
+import * as JsonPointer from "@hyperjump/json-pointer";
+
+/**
+ * @import {
+ *   JsonArrayNode,
+ *   JsonNode,
+ *   JsonObjectNode,
+ *   JsonPoint,
+ *   JsonPropertyNameNode,
+ *   JsonPropertyNode
+ * } from "./jsonast.d.ts"
+ */
+
+
+/**
+ * Thrown when JSON text can't be parsed. The `point` is where in the text the
+ * problem was found.
+ */
+export class JsonSyntaxError extends SyntaxError {
+  point;
+
+  /**
+   * @param {string} message
+   * @param {JsonPoint} point
+   */
+  constructor(message, point) {
+    super(`${message} at line ${point.line}, column ${point.column}`);
+    this.name = "JsonSyntaxError";
+    this.point = point;
+  }
+}
+
+/**
+ * @typedef {{
+ *   text: string;
+ *   uri: string;
+ *   offset: number;
+ *   line: number;
+ *   lineOffset: number;
+ * }} ParserState
+ */
+
+/**
+ * Parse JSON text into a JsonNode tree. Unlike `toJsonNode`, every node
+ * includes its `position` in the text so locations in an `Output` can be
+ * mapped back to the text. Nodes are located relative to `uri` the same way
+ * `toJsonNode` locates them. Like `JSON.parse`, when a property name appears
+ * more than once, the last value is used.
+ *
+ * @type (text: string, uri?: string) => JsonNode
+ */
+export const parseJson = (text, uri = "") => {
+  /** @type ParserState */
+  const state = { text, uri, offset: 0, line: 1, lineOffset: 0 };
+
+  skipWhitespace(state);
+  const node = parseValue(state, "");
+  skipWhitespace(state);
+
+  if (state.offset < text.length) {
+    throw unexpected(state);
+  }
+
+  return node;
+};
+
+/** @type (state: ParserState, pointer: string) => JsonNode */
+const parseValue = (state, pointer) => {
+  const location = `${state.uri}#${pointer}`;
+
+  switch (state.text[state.offset]) {
+    case "{":
+      return parseObject(state, pointer);
+    case "[":
+      return parseArray(state, pointer);
+    case "\"": {
+      const start = point(state);
+      const value = parseString(state);
+      return { type: "json", jsonType: "string", value, location, position: { start, end: point(state) } };
+    }
+    case "t": {
+      const start = point(state);
+      expectLiteral(state, "true");
+      return { type: "json", jsonType: "boolean", value: true, location, position: { start, end: point(state) } };
+    }
+    case "f": {
+      const start = point(state);
+      expectLiteral(state, "false");
+      return { type: "json", jsonType: "boolean", value: false, location, position: { start, end: point(state) } };
+    }
+    case "n": {
+      const start = point(state);
+      expectLiteral(state, "null");
+      return { type: "json", jsonType: "null", value: null, location, position: { start, end: point(state) } };
+    }
+    default: {
+      const start = point(state);
+      const value = parseNumber(state);
+      return { type: "json", jsonType: "number", value, location, position: { start, end: point(state) } };
+    }
+  }
+};
+
+/** @type (state: ParserState, pointer: string) => JsonObjectNode */
+const parseObject = (state, pointer) => {
+  const start = point(state);
+  state.offset++;
+  skipWhitespace(state);
+
+  /** @type JsonPropertyNode[] */
+  const children = [];
+  /** @type Map<string, number> */
+  const propertyIndexes = new Map();
+  if (state.text[state.offset] !== "}") {
+    while (true) {
+      if (state.text[state.offset] !== "\"") {
+        throw expected(state, "a property name");
+      }
+
+      const propertyNameStart = point(state);
+      const propertyName = parseString(state);
+
+      /** @type JsonPropertyNameNode */
+      const propertyNameNode = {
+        type: "json-property-name",
+        value: propertyName,
+        position: { start: propertyNameStart, end: point(state) }
+      };
+
+      skipWhitespace(state);
+      expectCharacter(state, ":");
+      skipWhitespace(state);
+      const propertyValueNode = parseValue(state, JsonPointer.append(propertyName, pointer));
+
+      /** @type JsonPropertyNode */
+      const propertyNode = {
+        type: "json-property",
+        children: [propertyNameNode, propertyValueNode],
+        position: { start: propertyNameStart, end: point(state) }
+      };
+
+      // A duplicate property keeps the place of the first one, like it does
+      // with `JSON.parse`
+      const propertyIndex = propertyIndexes.get(propertyName);
+      if (propertyIndex === undefined) {
+        propertyIndexes.set(propertyName, children.length);
+        children.push(propertyNode);
+      } else {
+        children[propertyIndex] = propertyNode;
+      }
+
+      skipWhitespace(state);
+      if (state.text[state.offset] !== ",") {
+        break;
+      }
+      state.offset++;
+      skipWhitespace(state);
+    }
+  }
+
+  expectCharacter(state, "}");
+
+  return {
+    type: "json",
+    jsonType: "object",
+    children,
+    location: `${state.uri}#${pointer}`,
+    position: { start, end: point(state) }
+  };
+};
+
+/** @type (state: ParserState, pointer: string) => JsonArrayNode */
+const parseArray = (state, pointer) => {
+  const start = point(state);
+  state.offset++;
+  skipWhitespace(state);
+
+  /** @type JsonNode[] */
+  const children = [];
+  if (state.text[state.offset] !== "]") {
+    while (true) {
+      children.push(parseValue(state, JsonPointer.append(`${children.length}`, pointer)));
+
+      skipWhitespace(state);
+      if (state.text[state.offset] !== ",") {
+        break;
+      }
+      state.offset++;
+      skipWhitespace(state);
+    }
+  }
+
+  expectCharacter(state, "]");
+
+  return {
+    type: "json",
+    jsonType: "array",
+    children,
+    location: `${state.uri}#${pointer}`,
+    position: { start, end: point(state) }
+  };
+};
+
+/** @type Record<string, string> */
+const escapes = {
+  "\"": "\"",
+  "\\": "\\",
+  "/": "/",
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t"
+};
+
+/** @type (state: ParserState) => string */
+const parseString = (state) => {
+  const { text } = state;
+  state.offset++;
+
+  let value = "";
+  let chunkStart = state.offset;
+  while (true) {
+    if (state.offset >= text.length) {
+      throw new JsonSyntaxError("Unterminated string", point(state));
+    }
+
+    const character = text[state.offset];
+    if (character === "\"") {
+      value += text.slice(chunkStart, state.offset);
+      state.offset++;
+      return value;
+    } else if (character === "\\") {
+      value += text.slice(chunkStart, state.offset);
+      const escape = text[state.offset + 1];
+      if (escape === "u") {
+        const hex = text.slice(state.offset + 2, state.offset + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+          throw new JsonSyntaxError("Invalid unicode escape", point(state));
+        }
+        value += String.fromCharCode(parseInt(hex, 16));
+        state.offset += 6;
+      } else if (escape in escapes) {
+        value += escapes[escape];
+        state.offset += 2;
+      } else {
+        throw new JsonSyntaxError("Invalid escape", point(state));
+      }
+      chunkStart = state.offset;
+    } else if (character < " ") {
+      throw new JsonSyntaxError("Unexpected control character in string", point(state));
+    } else {
+      state.offset++;
+    }
+  }
+};
+
+const numberPattern = /-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?/y;
+
+/** @type (state: ParserState) => number */
+const parseNumber = (state) => {
+  numberPattern.lastIndex = state.offset;
+  const match = numberPattern.exec(state.text);
+  if (match === null) {
+    throw unexpected(state);
+  }
+
+  state.offset += match[0].length;
+  return Number(match[0]);
+};
+
+/** @type (state: ParserState, literal: string) => void */
+const expectLiteral = (state, literal) => {
+  for (const character of literal) {
+    if (state.text[state.offset] !== character) {
+      throw unexpected(state);
+    }
+    state.offset++;
+  }
+};
+
+/** @type (state: ParserState, character: string) => void */
+const expectCharacter = (state, character) => {
+  if (state.text[state.offset] !== character) {
+    throw expected(state, `'${character}'`);
+  }
+  state.offset++;
+};
+
+/**
+ * Line breaks are `\n`, `\r\n`, or `\r`.
+ *
+ * @type (state: ParserState) => void
+ */
+const skipWhitespace = (state) => {
+  const { text } = state;
+  while (state.offset < text.length) {
+    switch (text[state.offset]) {
+      case " ":
+      case "\t":
+        state.offset++;
+        break;
+      case "\r":
+        state.offset++;
+        if (text[state.offset] !== "\n") {
+          state.line++;
+          state.lineOffset = state.offset;
+        }
+        break;
+      case "\n":
+        state.offset++;
+        state.line++;
+        state.lineOffset = state.offset;
+        break;
+      default:
+        return;
+    }
+  }
+};
+
+/** @type (state: ParserState) => JsonPoint */
+const point = (state) => {
+  return { line: state.line, column: state.offset - state.lineOffset + 1, offset: state.offset };
+};
+
+/** @type (state: ParserState) => JsonSyntaxError */
+const unexpected = (state) => {
+  return state.offset < state.text.length
+    ? new JsonSyntaxError(`Unexpected character '${state.text[state.offset]}'`, point(state))
+    : new JsonSyntaxError("Unexpected end of JSON input", point(state));
+};
+
+/** @type (state: ParserState, description: string) => JsonSyntaxError */
+const expected = (state, description) => {
+  return state.offset < state.text.length
+    ? new JsonSyntaxError(`Expected ${description} but found '${state.text[state.offset]}'`, point(state))
+    : new JsonSyntaxError("Unexpected end of JSON input", point(state));
+};
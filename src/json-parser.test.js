@@ -0,0 +1,151 @@
+import { describe, test, expect } from "vitest";
+import { parseJson, JsonSyntaxError, jsonValue, validate, BASIC } from "./index.js";
+
+/**
+ * @import { JsonPoint } from "./jsonast.d.ts"
+ */
+
+
+/** @type (text: string) => JsonSyntaxError */
+const syntaxError = (text) => {
+  try {
+    parseJson(text);
+  } catch (error) {
+    if (error instanceof JsonSyntaxError) {
+      return error;
+    }
+    throw error;
+  }
+
+  throw Error("Expected a JsonSyntaxError");
+};
+
+/** @type (line: number, column: number, offset: number) => JsonPoint */
+const point = (line, column, offset) => ({ line, column, offset });
+
+describe("JSON parser", () => {
+  test.each([
+    "null",
+    "true",
+    "false",
+    "0",
+    "-1.5e3",
+    "\"foo\"",
+    "\"\\\"\\\\\\/\\b\\f\\n\\r\\t\\u00e9\\ud83d\\ude00\"",
+    "[]",
+    "[1, [2, {}], \"3\"]",
+    "{}",
+    "{ \"a\": { \"b\": [null, true] }, \"c/d~e\": 1 }"
+  ])("parses %s", (text) => {
+    expect(jsonValue(parseJson(text))).to.eql(JSON.parse(text));
+  });
+
+  test("locations", () => {
+    const node = parseJson("{ \"a\": [1, { \"b/c\": 2 }] }", "https://example.com/foo");
+    expect(node.location).to.equal("https://example.com/foo#");
+    expect(node.jsonType === "object" && node.children[0].children[1].location)
+      .to.equal("https://example.com/foo#/a");
+  });
+
+  test("positions", () => {
+    const node = parseJson("{\n  \"foo\": [\r\n    true\r    ]\n}\n");
+    expect(node.position).to.eql({ start: point(1, 1, 0), end: point(5, 2, 30) });
+
+    if (node.jsonType !== "object") {
+      throw Error("Expected an object");
+    }
+    const [propertyNameNode, propertyValueNode] = node.children[0].children;
+    expect(node.children[0].position).to.eql({ start: point(2, 3, 4), end: point(4, 6, 28) });
+    expect(propertyNameNode.position).to.eql({ start: point(2, 3, 4), end: point(2, 8, 9) });
+    expect(propertyValueNode.position).to.eql({ start: point(2, 10, 11), end: point(4, 6, 28) });
+
+    if (propertyValueNode.jsonType !== "array") {
+      throw Error("Expected an array");
+    }
+    expect(propertyValueNode.children[0].position).to.eql({ start: point(3, 5, 18), end: point(3, 9, 22) });
+  });
+
+  test.each([
+    ["", "Unexpected end of JSON input at line 1, column 1"],
+    ["{ \"foo\": 1,\n  \"bar\" 2 }", "Expected ':' but found '2' at line 2, column 9"],
+    ["[1 2]", "Expected ']' but found '2' at line 1, column 4"],
+    ["{ foo: 1 }", "Expected a property name but found 'f' at line 1, column 3"],
+    ["[1,]", "Unexpected character ']' at line 1, column 4"],
+    ["01", "Unexpected character '1' at line 1, column 2"],
+    ["tru", "Unexpected end of JSON input at line 1, column 4"],
+    ["\"foo", "Unterminated string at line 1, column 5"],
+    ["\"a\tb\"", "Unexpected control character in string at line 1, column 3"],
+    ["\"\\x\"", "Invalid escape at line 1, column 2"],
+    ["\"\\u12\"", "Invalid unicode escape at line 1, column 2"]
+  ])("syntax error: %j", (text, message) => {
+    expect(syntaxError(text).message).to.equal(message);
+  });
+
+  test("the last value of a duplicate property is used like JSON.parse", () => {
+    const text = "{ \"a\": 1, \"b\": 2, \"a\": 3 }";
+    const node = parseJson(text);
+    expect(JSON.stringify(jsonValue(node))).to.equal(JSON.stringify(JSON.parse(text)));
+
+    if (node.jsonType !== "object") {
+      throw Error("Expected an object");
+    }
+    expect(node.children[0].position).to.eql({ start: point(1, 19, 18), end: point(1, 25, 24) });
+  });
+
+  test("propertyNames errors map to the position of the property name", () => {
+    const instance = parseJson(`{
+  "abc": 1
+}`);
+
+    const output = validate({ propertyNames: { maxLength: 2 } }, instance, BASIC);
+    expect(output.errors).toContainEqual({
+      valid: false,
+      absoluteKeywordLocation: "#/propertyNames/maxLength",
+      instanceLocation: "#/abc",
+      instancePosition: { start: point(2, 3, 4), end: point(2, 8, 9) }
+    });
+  });
+
+  test("syntax error point", () => {
+    expect(syntaxError("{\n  \"foo\": }").point).to.eql(point(2, 10, 11));
+  });
+
+  test("validating parsed trees maps errors to positions", () => {
+    const schema = parseJson(`{
+  "properties": {
+    "age": { "type": "integer" }
+  }
+}`, "file:///person.json");
+    const instance = parseJson(`{
+  "name": "Jane",
+  "age": "42"
+}`);
+
+    const output = validate(schema, instance, BASIC);
+    expect(output.valid).to.equal(false);
+    expect(output.errors).toContainEqual({
+      valid: false,
+      absoluteKeywordLocation: "#/properties/age/type",
+      absoluteKeywordPosition: { start: point(3, 22, 41), end: point(3, 31, 50) },
+      instanceLocation: "#/age",
+      instancePosition: { start: point(3, 10, 29), end: point(3, 14, 33) }
+    });
+  });
+
+  test("parsed trees aren't modified", () => {
+    const schema = parseJson(`{
+  "$id": "https://example.com/parent",
+  "$defs": {
+    "child": { "$id": "child", "type": "string" }
+  },
+  "$ref": "child"
+}`, "file:///parent.json");
+
+    const output = validate(schema, 42, BASIC);
+    expect(output.errors).toContainEqual(expect.objectContaining({
+      absoluteKeywordLocation: "https://example.com/child#/type",
+      absoluteKeywordPosition: { start: point(4, 40, 93), end: point(4, 48, 101) }
+    }));
+    expect(schema.location).to.equal("file:///parent.json#");
+  });
+});
@@ -1,11 +1,14 @@
+import { existsSync, statSync } from "node:fs";
 import { readdir, readFile } from "node:fs/promises";
-import { describe, test, expect, beforeAll } from "vitest";
-import { toAbsoluteIri } from "@hyperjump/uri";
-import { registerSchema, validate } from "./index.js";
-import { basename } from "node:path";
+import { createServer } from "node:http";
+import { describe, test, expect, beforeAll, afterAll } from "vitest";
+import { generateStandaloneValidator, setShouldValidateFormat, validateAsync } from "./index.js";
+import { importStandaloneValidator } from "./test-util.js";
 
 /**
- * @import { Json, JsonObject } from "./jsonast.d.ts"
+ * @import { Server } from "node:http"
+ * @import { Json } from "./jsonast.d.ts"
+ * @import { Output } from "./index.js"
  */
 
 /**
@@ -25,37 +28,7 @@ import { basename } from "node:path";
  */
 
 /** @type Set<string> */
-const skip = new Set([
-  "|anchor.json",
-  "|defs.json",
-  "|dynamicRef.json",
-  "|not.json|collect annotations inside a 'not', even if collection is disabled",
-  "|ref.json|remote ref, containing refs itself",
-  "|ref.json|Recursive references between schemas",
-  "|ref.json|ref creates new scope when adjacent to keywords",
-  "|ref.json|refs with relative uris and defs",
-  "|ref.json|relative refs with absolute uris and defs",
-  "|ref.json|$id must be resolved against nearest parent, not just immediate parent",
-  "|ref.json|order of evaluation: $id and $ref",
-  "|ref.json|order of evaluation: $id and $anchor and $ref",
-  "|ref.json|simple URN base URI with $ref via the URN",
-  "|ref.json|URN base URI with URN and anchor ref",
-  "|ref.json|URN ref with nested pointer ref",
-  "|ref.json|ref to if",
-  "|ref.json|ref to then",
-  "|ref.json|ref to else",
-  "|ref.json|ref with absolute-path-reference",
-  "|refRemote.json|anchor within remote ref",
-  "|refRemote.json|base URI change",
-  "|refRemote.json|base URI change - change folder",
-  "|refRemote.json|base URI change - change folder in subschema",
-  "|refRemote.json|Location-independent identifier in remote ref",
-  "|refRemote.json|remote HTTP ref with nested absolute ref",
-  "|refRemote.json|$ref to $ref finds detached $anchor",
-  "|unevaluatedItems.json",
-  "|unevaluatedProperties.json",
-  "|vocabulary.json"
-]);
+const skip = new Set([]);
 
 /** @type (path: string[]) => boolean */
 const shouldSkip = (path) => {
@@ -70,64 +43,144 @@ const shouldSkip = (path) => {
 };
 
 const testSuitePath = "./node_modules/json-schema-test-suite";
-const draft = "draft2020-12";
-const dialectUri = "https://json-schema.org/draft/2020-12/schema";
-const testSuiteFilePath = `${testSuitePath}/tests/${draft}`;
 
-/** @type (filePath: string, uri: string) => Promise<void> */
-const addRemotes = async (filePath, url) => {
-  for (const entry of await readdir(filePath, { withFileTypes: true })) {
-    if (entry.isFile() && entry.name.endsWith(".json")) {
-      /** @type JsonObject */
-      const remote = JSON.parse(await readFile(`${filePath}/${entry.name}`, "utf8")); // eslint-disable-line @typescript-eslint/no-unsafe-assignment
-      if (typeof remote.$schema !== "string" || toAbsoluteIri(remote.$schema) === dialectUri) {
-        registerSchema(remote, `${url}/${basename(entry.name, ".schema.json")}`);
-      }
-    } else if (entry.isDirectory()) {
-      await addRemotes(`${filePath}/${entry.name}`, `${url}/${entry.name}`);
+/** @type [string, string][] */
+const drafts = [
+  ["draft2020-12", "https://json-schema.org/draft/2020-12/schema"],
+  ["draft7", "http://json-schema.org/draft-07/schema"],
+  ["draft4", "http://json-schema.org/draft-04/schema"]
+];
+
+/**
+ * Serve the test suite's remotes the way the suite expects them to be served
+ * from `http://localhost:1234`. Remotes named `*.schema.json` are referenced
+ * without the extension.
+ *
+ * @type () => Promise<Server>
+ */
+const startRemotesServer = async () => {
+  const server = createServer((request, response) => {
+    const path = `${testSuitePath}/remotes${new URL(request.url ?? "/", "http://localhost:1234").pathname}`;
+    const filePath = [path, `${path}.schema.json`].find((filePath) => existsSync(filePath) && statSync(filePath).isFile());
+    if (filePath === undefined) {
+      response.writeHead(404).end();
+      return;
     }
-  }
+
+    readFile(filePath)
+      .then((remote) => {
+        response.writeHead(200, { "Content-Type": "application/schema+json" }).end(remote);
+      })
+      .catch(() => {
+        response.writeHead(500).end();
+      });
+  });
+
+  await new Promise((resolve) => {
+    server.listen(1234, "localhost", () => {
+      resolve(undefined);
+    });
+  });
+
+  return server;
 };
 
-describe(draft, async () => {
-  beforeAll(async () => {
-    await addRemotes(`${testSuitePath}/remotes`, "http://localhost:1234");
-    await addRemotes("./src/json-schema.org", "https://json-schema.org");
+/** @type Server */
+let remotesServer;
+
+beforeAll(async () => {
+  remotesServer = await startRemotesServer();
+});
+
+afterAll(() => {
+  remotesServer.close();
+});
+
+/**
+ * Test schemas that don't declare a `$schema` use the dialect of the draft
+ * being tested.
+ *
+ * @type (schema: Json, dialectUri: string) => Json
+ */
+const withDialect = (schema, dialectUri) => {
+  return typeof schema === "object" && schema !== null && !Array.isArray(schema) && !("$schema" in schema)
+    ? { $schema: dialectUri, ...schema }
+    : schema;
+};
+
+/** @type (filePath: string, parentPath: string[], name: string, dialectUri: string) => void */
+const describeTestFile = (filePath, parentPath, name, dialectUri) => {
+  const path = [...parentPath, name];
+  if (shouldSkip(path)) {
+    return;
+  }
+
+  describe(name, async () => {
+    /** @type Suite[] */
+    const suites = JSON.parse(await readFile(filePath, "utf8")); // eslint-disable-line @typescript-eslint/no-unsafe-assignment
+
+    for (const suite of suites) {
+      if (shouldSkip([...path, suite.description])) {
+        continue;
+      }
+
+      describe(suite.description, () => {
+        const schema = withDialect(suite.schema, dialectUri);
+
+        // Generated once the remotes the schema references have been retrieved
+        /** @type Promise<(instance: Json) => Output> | undefined */
+        let standaloneValidator;
+
+        for (const schemaTest of suite.tests) {
+          if (shouldSkip([...path, suite.description, schemaTest.description])) {
+            continue;
+          }
+
+          test(schemaTest.description, async () => {
+            const output = await validateAsync(schema, schemaTest.data);
+            expect(output.valid).to.equal(schemaTest.valid);
+
+            standaloneValidator ??= importStandaloneValidator(generateStandaloneValidator(schema));
+            const standaloneValidate = await standaloneValidator;
+            const standaloneOutput = standaloneValidate(schemaTest.data);
+            expect(standaloneOutput.valid).to.equal(schemaTest.valid);
+          });
+        }
+      });
+    }
   });
+};
 
-  for (const entry of await readdir(testSuiteFilePath, { withFileTypes: true })) {
-    if (!entry.isFile() || !entry.name.endsWith(".json")) {
-      continue;
+/** @type (dirPath: string, path: string[], dialectUri: string) => Promise<void> */
+const describeTestDirectory = async (dirPath, path, dialectUri) => {
+  for (const entry of await readdir(dirPath, { withFileTypes: true })) {
+    if (entry.isFile() && entry.name.endsWith(".json")) {
+      describeTestFile(`${dirPath}/${entry.name}`, path, entry.name, dialectUri);
     }
+  }
+};
 
-    const file = `${testSuiteFilePath}/${entry.name}`;
+for (const [draft, dialectUri] of drafts) {
+  const testSuiteFilePath = `${testSuitePath}/tests/${draft}`;
 
-    if (shouldSkip([entry.name])) {
-      continue;
-    }
+  describe(draft, async () => {
+    await describeTestDirectory(testSuiteFilePath, [draft], dialectUri);
 
-    describe(entry.name, async () => {
-      /** @type Suite[] */
-      const suites = JSON.parse(await readFile(file, "utf8")); // eslint-disable-line @typescript-eslint/no-unsafe-assignment
+    const formatAssertionFilePath = `${testSuiteFilePath}/optional/format-assertion.json`;
+    if (existsSync(formatAssertionFilePath)) {
+      describeTestFile(formatAssertionFilePath, [draft], "optional/format-assertion.json", dialectUri);
+    }
 
-      for (const suite of suites) {
-        if (shouldSkip([entry.name, suite.description])) {
-          continue;
-        }
+    describe("format assertion", async () => {
+      beforeAll(() => {
+        setShouldValidateFormat(true);
+      });
 
-        describe(suite.description, () => {
-          for (const schemaTest of suite.tests) {
-            if (shouldSkip([entry.name, suite.description, schemaTest.description])) {
-              continue;
-            }
+      afterAll(() => {
+        setShouldValidateFormat(false);
+      });
 
-            test(schemaTest.description, () => {
-              const output = validate(suite.schema, schemaTest.data);
-              expect(output.valid).to.equal(schemaTest.valid);
-            });
-          }
-        });
-      }
+      await describeTestDirectory(`${testSuiteFilePath}/optional/format`, [draft, "optional/format"], dialectUri);
     });
-  }
-});
+  });
+}
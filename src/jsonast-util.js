@@ -59,6 +59,56 @@ export const toJsonNode = (json, uri = "", pointer = "") => {
   }
 };
 
+/**
+ * Whether a value is already a JsonNode tree, such as one from `parseJson`,
+ * rather than a plain JSON value.
+ *
+ * @type (value: unknown) => value is JsonNode
+ */
+export const isJsonNode = (value) => {
+  return typeof value === "object" && value !== null && "type" in value && value.type === "json"
+    && "jsonType" in value && typeof value.jsonType === "string"
+    && "location" in value && typeof value.location === "string";
+};
+
+/**
+ * Copy a JsonNode tree with locations relative to `uri`. Source positions are
+ * kept.
+ *
+ * @type (node: JsonNode, uri?: string, pointer?: string) => JsonNode
+ */
+export const copyJsonNode = (node, uri = "", pointer = "") => {
+  const location = `${uri}#${pointer}`;
+
+  switch (node.jsonType) {
+    case "array":
+      return {
+        ...node,
+        children: node.children.map((itemNode, index) => {
+          return copyJsonNode(itemNode, uri, JsonPointer.append(`${index}`, pointer));
+        }),
+        location
+      };
+    case "object":
+      return {
+        ...node,
+        children: node.children.map((propertyNode) => {
+          const [propertyNameNode, propertyValueNode] = propertyNode.children;
+          return {
+            ...propertyNode,
+            children: [
+              propertyNameNode,
+              copyJsonNode(propertyValueNode, uri, JsonPointer.append(propertyNameNode.value, pointer))
+            ]
+          };
+        }),
+        location
+      };
+    default:
+      return { ...node, location };
+  }
+};
+
 /** @type (segment: string, node: JsonNode, uri?: string) => JsonNode */
 export const jsonPointerStep = (segment, node, uri = "#") => {
   switch (node.jsonType) {
@@ -2,11 +2,25 @@ export type Json = null | boolean | number | string | JsonArray | JsonObject;
 export type JsonArray = Json[];
 export type JsonObject = { [property: string]: Json };
 
+/** A place in a source file. `line` and `column` start at 1 and `offset` starts at 0. */
+export type JsonPoint = {
+  line: number;
+  column: number;
+  offset: number;
+};
+
+/** The span of a node in a source file. `end` is the point after the node. */
+export type JsonPosition = {
+  start: JsonPoint;
+  end: JsonPoint;
+};
+
 export type JsonNullNode = {
   type: "json";
   jsonType: "null";
   value: null;
   location: string;
+  position?: JsonPosition;
 };
 
 export type JsonBooleanNode = {
@@ -14,6 +28,7 @@ export type JsonBooleanNode = {
   jsonType: "boolean";
   value: boolean;
   location: string;
+  position?: JsonPosition;
 };
 
 export type JsonNumberNode = {
@@ -21,6 +36,7 @@ export type JsonNumberNode = {
   jsonType: "number";
   value: number;
   location: string;
+  position?: JsonPosition;
 };
 
 export type JsonStringNode = {
@@ -28,6 +44,7 @@ export type JsonStringNode = {
   jsonType: "string";
   value: string;
   location: string;
+  position?: JsonPosition;
 };
 
 export type JsonArrayNode = {
@@ -35,16 +52,19 @@ export type JsonArrayNode = {
   jsonType: "array";
   children: JsonNode[];
   location: string;
+  position?: JsonPosition;
 };
 
 export type JsonPropertyNameNode = {
   type: "json-property-name";
   value: string;
+  position?: JsonPosition;
 };
 
 export type JsonPropertyNode = {
   type: "json-property";
   children: [JsonPropertyNameNode, JsonNode];
+  position?: JsonPosition;
 };
 
 export type JsonObjectNode = {
@@ -52,6 +72,7 @@ export type JsonObjectNode = {
   jsonType: "object";
   children: JsonPropertyNode[];
   location: string;
+  position?: JsonPosition;
 };
 
 export type JsonNode = JsonObjectNode
@@ -0,0 +1,348 @@
+import { jsonObjectHas, jsonObjectKeys, jsonPointerStep, jsonValue } from "./jsonast-util.js";
+
+/**
+ * @import { JsonNode } from "./jsonast.d.ts"
+ */
+
+
+/**
+ * What a message is about. `keywordNode` is the value of the keyword that
+ * failed, `schemaNode` is the schema the keyword is in, and `instanceNode` is
+ * the value that was validated. For a `false` schema, the keyword is `false`
+ * and both `keywordNode` and `schemaNode` are the schema.
+ *
+ * @typedef {{
+ *   keyword: string;
+ *   keywordNode: JsonNode;
+ *   schemaNode: JsonNode;
+ *   instanceNode: JsonNode;
+ * }} MessageContext
+ */
+
+/** @typedef {(context: MessageContext) => string} KeywordMessage */
+
+/**
+ * Messages by keyword. The `*` message is used for keywords that don't have a
+ * message, such as custom keywords.
+ *
+ * @typedef {Record<string, KeywordMessage>} MessageBundle
+ */
+
+/** @type (instanceNode: JsonNode) => string */
+const describeType = (instanceNode) => {
+  switch (instanceNode.jsonType) {
+    case "null":
+      return "null";
+    case "boolean":
+      return "a boolean";
+    case "number":
+      return "a number";
+    case "string":
+      return "a string";
+    case "array":
+      return "an array";
+    case "object":
+      return "an object";
+  }
+};
+
+/** @type Record<string, string> */
+const typeNames = {
+  null: "null",
+  boolean: "a boolean",
+  integer: "an integer",
+  number: "a number",
+  string: "a string",
+  array: "an array",
+  object: "an object"
+};
+
+const conjunction = new Intl.ListFormat("en", { type: "conjunction" });
+const disjunction = new Intl.ListFormat("en", { type: "disjunction" });
+
+/** @type (count: number, noun: string) => string */
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+/** @type (node: JsonNode) => string */
+const json = (node) => JSON.stringify(jsonValue(node));
+
+/** @type (names: string[]) => string */
+const quoted = (names) => conjunction.format(names.map((name) => `'${name}'`));
+
+/** @type (keyword: string, schemaNode: JsonNode) => JsonNode | undefined */
+const sibling = (keyword, schemaNode) => {
+  return schemaNode.jsonType === "object" && jsonObjectHas(keyword, schemaNode)
+    ? jsonPointerStep(keyword, schemaNode)
+    : undefined;
+};
+
+/** @type (keyword: string, schemaNode: JsonNode) => boolean */
+const isExclusive = (keyword, schemaNode) => {
+  const exclusiveNode = sibling(keyword, schemaNode);
+  return exclusiveNode?.jsonType === "boolean" && exclusiveNode.value;
+};
+
+/** @type (requiredNode: JsonNode, instanceNode: JsonNode) => string[] */
+const missingProperties = (requiredNode, instanceNode) => {
+  if (requiredNode.jsonType !== "array" || instanceNode.jsonType !== "object") {
+    return [];
+  }
+
+  return requiredNode.children
+    .map((propertyNameNode) => /** @type string */ (jsonValue(propertyNameNode)))
+    .filter((propertyName) => !jsonObjectHas(propertyName, instanceNode));
+};
+
+/** @type (dependenciesNode: JsonNode, instanceNode: JsonNode) => string[] */
+const missingDependencies = (dependenciesNode, instanceNode) => {
+  if (dependenciesNode.jsonType !== "object" || instanceNode.jsonType !== "object") {
+    return [];
+  }
+
+  const messages = [];
+  for (const propertyNode of dependenciesNode.children) {
+    const [propertyNameNode, dependencyNode] = propertyNode.children;
+    if (jsonObjectHas(propertyNameNode.value, instanceNode)) {
+      const missing = missingProperties(dependencyNode, instanceNode);
+      if (missing.length > 0) {
+        messages.push(`Property '${propertyNameNode.value}' requires ${missing.length === 1 ? "property" : "properties"} ${quoted(missing)}`);
+      }
+    }
+  }
+
+  return messages;
+};
+
+/** @type (schemaNode: JsonNode, instanceNode: JsonNode) => string[] */
+const additionalProperties = (schemaNode, instanceNode) => {
+  if (instanceNode.jsonType !== "object") {
+    return [];
+  }
+
+  const propertiesNode = sibling("properties", schemaNode);
+  const definedProperties = propertiesNode?.jsonType === "object" ? jsonObjectKeys(propertiesNode) : [];
+  const patternPropertiesNode = sibling("patternProperties", schemaNode);
+  const patterns = patternPropertiesNode?.jsonType === "object"
+    ? jsonObjectKeys(patternPropertiesNode).map((pattern) => new RegExp(pattern, "u"))
+    : [];
+
+  return jsonObjectKeys(instanceNode).filter((propertyName) => {
+    return !definedProperties.includes(propertyName) && !patterns.some((pattern) => pattern.test(propertyName));
+  });
+};
+
+/** @type MessageBundle */
+const english = {
+  "*": ({ keyword }) => `Expected the value to be valid against '${keyword}'`,
+  false: () => "No value is allowed here",
+
+  $ref: ({ keywordNode }) => `Expected the value to match the schema at ${json(keywordNode)}`,
+  $dynamicRef: ({ keywordNode }) => `Expected the value to match the schema at ${json(keywordNode)}`,
+
+  allOf: () => "Expected the value to match all of the 'allOf' schemas",
+  anyOf: () => "Expected the value to match at least one of the 'anyOf' schemas",
+  oneOf: () => "Expected the value to match exactly one of the 'oneOf' schemas",
+  not: () => "Expected the value not to match the 'not' schema",
+  then: () => "Expected the value to match the 'then' schema because it matches the 'if' schema",
+  else: () => "Expected the value to match the 'else' schema because it doesn't match the 'if' schema",
+  dependentSchemas: () => "Expected the object to match the 'dependentSchemas' schemas of its properties",
+
+  properties: () => "Expected the object's properties to match their 'properties' schemas",
+  patternProperties: () => "Expected the object's properties to match their 'patternProperties' schemas",
+  additionalProperties: ({ keywordNode, schemaNode, instanceNode }) => {
+    const propertyNames = additionalProperties(schemaNode, instanceNode);
+    if (keywordNode.jsonType === "boolean" && propertyNames.length > 0) {
+      return `Unexpected ${propertyNames.length === 1 ? "property" : "properties"} ${quoted(propertyNames)}`;
+    }
+    return "Expected the object's additional properties to match the 'additionalProperties' schema";
+  },
+  unevaluatedProperties: ({ keywordNode }) => {
+    return keywordNode.jsonType === "boolean"
+      ? "Expected the object not to have unevaluated properties"
+      : "Expected the object's unevaluated properties to match the 'unevaluatedProperties' schema";
+  },
+  propertyNames: () => "Expected the object's property names to match the 'propertyNames' schema",
+
+  prefixItems: () => "Expected the array's items to match their 'prefixItems' schemas",
+  items: ({ keywordNode, schemaNode }) => {
+    if (keywordNode.jsonType === "array") {
+      return "Expected the array's items to match their 'items' schemas";
+    }
+
+    const prefixItemsNode = sibling("prefixItems", schemaNode);
+    if (keywordNode.jsonType === "boolean") {
+      const maxItems = prefixItemsNode?.jsonType === "array" ? prefixItemsNode.children.length : 0;
+      return `Expected an array with at most ${plural(maxItems, "item")}`;
+    }
+    return "Expected the array's items to match the 'items' schema";
+  },
+  additionalItems: ({ keywordNode, schemaNode }) => {
+    const itemsNode = sibling("items", schemaNode);
+    if (keywordNode.jsonType === "boolean" && itemsNode?.jsonType === "array") {
+      return `Expected an array with at most ${plural(itemsNode.children.length, "item")}`;
+    }
+    return "Expected the array's additional items to match the 'additionalItems' schema";
+  },
+  unevaluatedItems: ({ keywordNode }) => {
+    return keywordNode.jsonType === "boolean"
+      ? "Expected the array not to have unevaluated items"
+      : "Expected the array's unevaluated items to match the 'unevaluatedItems' schema";
+  },
+  contains: ({ schemaNode }) => {
+    const minContainsNode = sibling("minContains", schemaNode);
+    const maxContainsNode = sibling("maxContains", schemaNode);
+    const minContains = minContainsNode?.jsonType === "number" ? minContainsNode.value : 1;
+
+    if (maxContainsNode?.jsonType === "number") {
+      if (minContains === maxContainsNode.value) {
+        return `Expected exactly ${plural(minContains, "item")} to match the 'contains' schema`;
+      }
+      return minContains === 0
+        ? `Expected at most ${plural(maxContainsNode.value, "item")} to match the 'contains' schema`
+        : `Expected between ${minContains} and ${maxContainsNode.value} items to match the 'contains' schema`;
+    }
+    return `Expected at least ${plural(minContains, "item")} to match the 'contains' schema`;
+  },
+
+  type: ({ keywordNode, instanceNode }) => {
+    const typeNodes = keywordNode.jsonType === "array" ? keywordNode.children : [keywordNode];
+    const types = typeNodes.map((typeNode) => {
+      return (typeNode.jsonType === "string" && typeNames[typeNode.value]) || json(typeNode);
+    });
+    return `Expected ${disjunction.format(types)} but found ${describeType(instanceNode)}`;
+  },
+  const: ({ keywordNode }) => `Expected ${json(keywordNode)}`,
+  enum: ({ keywordNode }) => {
+    return keywordNode.jsonType === "array" && keywordNode.children.length === 1
+      ? `Expected ${json(keywordNode.children[0])}`
+      : `Expected one of ${keywordNode.jsonType === "array" ? disjunction.format(keywordNode.children.map(json)) : json(keywordNode)}`;
+  },
+
+  multipleOf: ({ keywordNode }) => `Expected a multiple of ${json(keywordNode)}`,
+  maximum: ({ keywordNode, schemaNode }) => {
+    return isExclusive("exclusiveMaximum", schemaNode)
+      ? `Expected a number less than ${json(keywordNode)}`
+      : `Expected a number less than or equal to ${json(keywordNode)}`;
+  },
+  exclusiveMaximum: ({ keywordNode, schemaNode }) => {
+    const limitNode = keywordNode.jsonType === "boolean" ? sibling("maximum", schemaNode) : keywordNode;
+    return `Expected a number less than ${limitNode ? json(limitNode) : "the maximum"}`;
+  },
+  minimum: ({ keywordNode, schemaNode }) => {
+    return isExclusive("exclusiveMinimum", schemaNode)
+      ? `Expected a number greater than ${json(keywordNode)}`
+      : `Expected a number greater than or equal to ${json(keywordNode)}`;
+  },
+  exclusiveMinimum: ({ keywordNode, schemaNode }) => {
+    const limitNode = keywordNode.jsonType === "boolean" ? sibling("minimum", schemaNode) : keywordNode;
+    return `Expected a number greater than ${limitNode ? json(limitNode) : "the minimum"}`;
+  },
+
+  maxLength: ({ keywordNode }) => `Expected a string with at most ${plural(Number(jsonValue(keywordNode)), "character")}`,
+  minLength: ({ keywordNode }) => `Expected a string with at least ${plural(Number(jsonValue(keywordNode)), "character")}`,
+  pattern: ({ keywordNode }) => `Expected a string matching the pattern ${json(keywordNode)}`,
+  format: ({ keywordNode }) => `Expected a string in the ${json(keywordNode)} format`,
+
+  maxItems: ({ keywordNode }) => `Expected an array with at most ${plural(Number(jsonValue(keywordNode)), "item")}`,
+  minItems: ({ keywordNode }) => `Expected an array with at least ${plural(Number(jsonValue(keywordNode)), "item")}`,
+  uniqueItems: () => "Expected the array's items to be unique",
+
+  maxProperties: ({ keywordNode }) => {
+    const count = Number(jsonValue(keywordNode));
+    return `Expected an object with at most ${count} ${count === 1 ? "property" : "properties"}`;
+  },
+  minProperties: ({ keywordNode }) => {
+    const count = Number(jsonValue(keywordNode));
+    return `Expected an object with at least ${count} ${count === 1 ? "property" : "properties"}`;
+  },
+  required: ({ keywordNode, instanceNode }) => {
+    const missing = missingProperties(keywordNode, instanceNode);
+    return `Missing required ${missing.length === 1 ? "property" : "properties"} ${quoted(missing)}`;
+  },
+  dependentRequired: ({ keywordNode, instanceNode }) => {
+    return missingDependencies(keywordNode, instanceNode).join(". ");
+  },
+  dependencies: ({ keywordNode, instanceNode }) => {
+    const messages = missingDependencies(keywordNode, instanceNode);
+    return messages.length > 0
+      ? messages.join(". ")
+      : "Expected the object to match the 'dependencies' schemas of its properties";
+  }
+};
+
+/**
+ * Message bundles by locale.
+ *
+ * @type Map<string, MessageBundle>
+ */
+const messageBundles = new Map([["en", english]]);
+
+/**
+ * Add messages to the bundle for a locale, or create the bundle if it doesn't
+ * exist. Messages that are already in the bundle are replaced.
+ *
+ * @type (locale: string, messages: MessageBundle) => void
+ */
+export const addMessages = (locale, messages) => {
+  messageBundles.set(locale, { ...messageBundles.get(locale), ...messages });
+};
+
+/**
+ * The message for a keyword that failed. The message for the keyword comes
+ * from the bundle for the locale, then the bundle for its language (`en` for
+ * `en-GB`), and then the English bundle. Only if none of them have a message
+ * for the keyword is the `*` message used, from the bundles in the same order,
+ * so a partial translation doesn't hide the English message for a keyword.
+ *
+ * @type (locale: string, context: MessageContext) => string
+ */
+export const errorMessage = (locale, context) => {
+  const bundles = [locale, locale.split("-")[0], "en"]
+    .map((locale) => messageBundles.get(locale))
+    .filter((bundle) => bundle !== undefined);
+
+  for (const keyword of [context.keyword, "*"]) {
+    for (const bundle of bundles) {
+      const message = bundle[keyword];
+      if (message) {
+        return message(context);
+      }
+    }
+  }
+
+  return english["*"](context);
+};
+
+/**
+ * The message an `errorMessage` keyword declares for a failing sibling keyword.
+ * The `errorMessage` is either an object with a message for each keyword or a
+ * message for all of them. In a message, `{{limit}}` is replaced by the
+ * keyword's value, `{{instance}}` by the instance, and `{{keyword}}` by the
+ * keyword's name.
+ *
+ * @type (errorMessageNode: JsonNode, context: MessageContext) => string | undefined
+ */
+export const schemaErrorMessage = (errorMessageNode, context) => {
+  const messageNode = errorMessageNode.jsonType === "object"
+    ? sibling(context.keyword, errorMessageNode)
+    : errorMessageNode;
+  if (messageNode?.jsonType !== "string") {
+    return;
+  }
+
+  return messageNode.value.replaceAll(/\{\{\s*(\w+)\s*\}\}/gu, (placeholder, name) => {
+    switch (name) {
+      case "limit":
+        return interpolationValue(context.keywordNode);
+      case "instance":
+        return interpolationValue(context.instanceNode);
+      case "keyword":
+        return context.keyword;
+      default:
+        return placeholder;
+    }
+  });
+};
+
+/** @type (node: JsonNode) => string */
+const interpolationValue = (node) => node.jsonType === "string" ? node.value : json(node);
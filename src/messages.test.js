@@ -0,0 +1,240 @@
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import {
+  addKeyword,
+  addMessages,
+  jsonValue,
+  registerSchema,
+  setLocale,
+  setShouldUseErrorMessageKeyword,
+  setShouldValidateFormat,
+  validate,
+  Output,
+  BASIC
+} from "./index.js";
+
+/**
+ * @import { Json } from "./jsonast.d.ts"
+ */
+
+
+/** @type (schema: Json, instance: Json) => (string | undefined)[] */
+const errorMessages = (schema, instance) => {
+  const output = validate(schema, instance, BASIC);
+  return output.errors?.map((error) => error.error) ?? [output.error];
+};
+
+describe("Error messages", () => {
+  beforeEach(() => {
+    setLocale("en");
+  });
+
+  afterEach(() => {
+    setLocale(undefined);
+    setShouldValidateFormat(false);
+  });
+
+  registerSchema({ type: "string" }, "https://example.com/messages-string");
+
+  test.each([
+    ["false schema", false, 42, "No value is allowed here"],
+    ["$ref", { $ref: "https://example.com/messages-string" }, 42, "Expected the value to match the schema at \"https://example.com/messages-string\""],
+    ["$dynamicRef", { $dynamicRef: "https://example.com/messages-string" }, 42, "Expected the value to match the schema at \"https://example.com/messages-string\""],
+    ["allOf", { allOf: [{ minimum: 5 }] }, 4, "Expected the value to match all of the 'allOf' schemas"],
+    ["anyOf", { anyOf: [{ minimum: 5 }] }, 4, "Expected the value to match at least one of the 'anyOf' schemas"],
+    ["oneOf", { oneOf: [true, true] }, 4, "Expected the value to match exactly one of the 'oneOf' schemas"],
+    ["not", { not: true }, 4, "Expected the value not to match the 'not' schema"],
+    ["then", { if: true, then: { minimum: 5 } }, 4, "Expected the value to match the 'then' schema because it matches the 'if' schema"],
+    ["else", { if: false, else: { minimum: 5 } }, 4, "Expected the value to match the 'else' schema because it doesn't match the 'if' schema"],
+    ["dependentSchemas", { dependentSchemas: { a: { required: ["b"] } } }, { a: 1 }, "Expected the object to match the 'dependentSchemas' schemas of its properties"],
+    ["properties", { properties: { a: { minimum: 5 } } }, { a: 4 }, "Expected the object's properties to match their 'properties' schemas"],
+    ["patternProperties", { patternProperties: { "^a": { minimum: 5 } } }, { a: 4 }, "Expected the object's properties to match their 'patternProperties' schemas"],
+    ["additionalProperties", { additionalProperties: { minimum: 5 } }, { a: 4 }, "Expected the object's additional properties to match the 'additionalProperties' schema"],
+    ["additionalProperties: false", {
+      properties: { a: true },
+      patternProperties: { "^x-": true },
+      additionalProperties: false
+    }, { a: 1, "x-b": 2, c: 3, d: 4 }, "Unexpected properties 'c' and 'd'"],
+    ["unevaluatedProperties", { unevaluatedProperties: { minimum: 5 } }, { a: 4 }, "Expected the object's unevaluated properties to match the 'unevaluatedProperties' schema"],
+    ["unevaluatedProperties: false", { unevaluatedProperties: false }, { a: 4 }, "Expected the object not to have unevaluated properties"],
+    ["propertyNames", { propertyNames: { maxLength: 1 } }, { ab: 4 }, "Expected the object's property names to match the 'propertyNames' schema"],
+    ["prefixItems", { prefixItems: [{ minimum: 5 }] }, [4], "Expected the array's items to match their 'prefixItems' schemas"],
+    ["items", { items: { minimum: 5 } }, [4], "Expected the array's items to match the 'items' schema"],
+    ["items: false", { prefixItems: [true, true], items: false }, [1, 2, 3], "Expected an array with at most 2 items"],
+    ["unevaluatedItems", { unevaluatedItems: { minimum: 5 } }, [4], "Expected the array's unevaluated items to match the 'unevaluatedItems' schema"],
+    ["unevaluatedItems: false", { unevaluatedItems: false }, [4], "Expected the array not to have unevaluated items"],
+    ["contains", { contains: { minimum: 5 } }, [4], "Expected at least 1 item to match the 'contains' schema"],
+    ["minContains", { contains: { minimum: 5 }, minContains: 2 }, [5], "Expected at least 2 items to match the 'contains' schema"],
+    ["maxContains", { contains: { minimum: 5 }, maxContains: 1 }, [5, 6], "Expected exactly 1 item to match the 'contains' schema"],
+    ["minContains and maxContains", { contains: { minimum: 5 }, minContains: 2, maxContains: 3 }, [5], "Expected between 2 and 3 items to match the 'contains' schema"],
+    ["minContains: 0", { contains: { minimum: 5 }, minContains: 0, maxContains: 1 }, [5, 6], "Expected at most 1 item to match the 'contains' schema"],
+    ["type", { type: "string" }, 4, "Expected a string but found a number"],
+    ["type list", { type: ["string", "integer", "null"] }, 4.5, "Expected a string, an integer, or null but found a number"],
+    ["const", { const: "a" }, 4, "Expected \"a\""],
+    ["enum", { enum: ["a", 1, null] }, 4, "Expected one of \"a\", 1, or null"],
+    ["enum with one value", { enum: [{ a: 1 }] }, 4, "Expected {\"a\":1}"],
+    ["multipleOf", { multipleOf: 3 }, 4, "Expected a multiple of 3"],
+    ["maximum", { maximum: 3 }, 4, "Expected a number less than or equal to 3"],
+    ["exclusiveMaximum", { exclusiveMaximum: 3 }, 4, "Expected a number less than 3"],
+    ["minimum", { minimum: 5 }, 4, "Expected a number greater than or equal to 5"],
+    ["exclusiveMinimum", { exclusiveMinimum: 5 }, 4, "Expected a number greater than 5"],
+    ["maxLength", { maxLength: 1 }, "ab", "Expected a string with at most 1 character"],
+    ["minLength", { minLength: 3 }, "ab", "Expected a string with at least 3 characters"],
+    ["pattern", { pattern: "^a" }, "b", "Expected a string matching the pattern \"^a\""],
+    ["maxItems", { maxItems: 1 }, [1, 2], "Expected an array with at most 1 item"],
+    ["minItems", { minItems: 3 }, [1, 2], "Expected an array with at least 3 items"],
+    ["uniqueItems", { uniqueItems: true }, [1, 1], "Expected the array's items to be unique"],
+    ["maxProperties", { maxProperties: 1 }, { a: 1, b: 2 }, "Expected an object with at most 1 property"],
+    ["minProperties", { minProperties: 3 }, { a: 1 }, "Expected an object with at least 3 properties"],
+    ["required", { required: ["a", "b"] }, { b: 1 }, "Missing required property 'a'"],
+    ["required with several missing", { required: ["a", "b", "c"] }, { b: 1 }, "Missing required properties 'a' and 'c'"],
+    ["dependentRequired", { dependentRequired: { a: ["b", "c", "d"] } }, { a: 1, c: 1 }, "Property 'a' requires properties 'b' and 'd'"]
+  ])("%s", (_name, schema, instance, message) => {
+    expect(errorMessages(schema, instance)).toContain(message);
+  });
+
+  test.each([
+    ["items", { items: [true], additionalItems: false }, [1, 2], "Expected an array with at most 1 item"],
+    ["additionalItems", { items: [true], additionalItems: { minimum: 5 } }, [1, 2], "Expected the array's additional items to match the 'additionalItems' schema"],
+    ["dependencies", { dependencies: { a: ["b"] } }, { a: 1 }, "Property 'a' requires property 'b'"],
+    ["dependencies schema", { dependencies: { a: { required: ["b"] } } }, { a: 1 }, "Expected the object to match the 'dependencies' schemas of its properties"]
+  ])("draft-07 %s", (_name, schema, instance, message) => {
+    const draft07Schema = { $schema: "http://json-schema.org/draft-07/schema#", ...schema };
+    expect(errorMessages(draft07Schema, instance)).toContain(message);
+  });
+
+  test.each([
+    ["maximum", { maximum: 3, exclusiveMaximum: true }, 3, "Expected a number less than 3"],
+    ["minimum", { minimum: 3, exclusiveMinimum: true }, 3, "Expected a number greater than 3"]
+  ])("draft-04 exclusive %s", (_name, schema, instance, message) => {
+    const draft04Schema = { $schema: "http://json-schema.org/draft-04/schema#", ...schema };
+    expect(errorMessages(draft04Schema, instance)).toContain(message);
+  });
+
+  test("format", () => {
+    setShouldValidateFormat(true);
+    expect(errorMessages({ format: "email" }, "foo")).to.eql(["Expected a string in the \"email\" format"]);
+  });
+
+  test("messages are only added to failing keywords", () => {
+    const output = validate({ type: "object", required: ["a"] }, {}, BASIC);
+    expect(output.error).to.equal(undefined);
+    expect(output.errors).toEqual([{
+      valid: false,
+      absoluteKeywordLocation: "#/required",
+      instanceLocation: "#",
+      error: "Missing required property 'a'"
+    }]);
+  });
+
+  test("custom keywords use the fallback message", () => {
+    addKeyword("x-never", (keywordNode, instanceNode) => new Output(false, keywordNode, instanceNode));
+    expect(errorMessages({ "x-never": true }, 4)).to.eql(["Expected the value to be valid against 'x-never'"]);
+  });
+
+  test("no messages by default", () => {
+    setLocale(undefined);
+    expect(errorMessages({ required: ["a"] }, {})).to.eql([undefined]);
+  });
+
+  describe("locales", () => {
+    beforeEach(() => {
+      addMessages("xx", {
+        required: () => "xx required",
+        "*": () => "xx fallback"
+      });
+      addMessages("xx-YY", {
+        minimum: () => "xx-YY minimum"
+      });
+    });
+
+    test("locale bundle", () => {
+      setLocale("xx-YY");
+      expect(errorMessages({ minimum: 5 }, 4)).to.eql(["xx-YY minimum"]);
+    });
+
+    test("language bundle", () => {
+      setLocale("xx-YY");
+      expect(errorMessages({ required: ["a"] }, {})).to.eql(["xx required"]);
+    });
+
+    test("English messages for the keyword come before the language's fallback message", () => {
+      setLocale("xx-ZZ");
+      expect(errorMessages({ type: "string" }, 4)).to.eql(["Expected a string but found a number"]);
+    });
+
+    test("the language's fallback message comes before the English fallback message", () => {
+      setLocale("xx-YY");
+      addKeyword("x-never", (keywordNode, instanceNode) => new Output(false, keywordNode, instanceNode));
+      expect(errorMessages({ "x-never": true }, 4)).to.eql(["xx fallback"]);
+    });
+
+    test("unknown locales use English", () => {
+      setLocale("zz");
+      expect(errorMessages({ type: "string" }, 4)).to.eql(["Expected a string but found a number"]);
+    });
+
+    test("added messages replace built-in messages", () => {
+      addMessages("en", { maxLength: ({ keywordNode }) => `At most ${JSON.stringify(jsonValue(keywordNode))}` });
+      expect(errorMessages({ maxLength: 1 }, "ab")).to.eql(["At most 1"]);
+    });
+  });
+
+  describe("errorMessage keyword", () => {
+    beforeEach(() => {
+      setShouldUseErrorMessageKeyword(true);
+    });
+
+    afterEach(() => {
+      setShouldUseErrorMessageKeyword(false);
+    });
+
+    test("message for a keyword", () => {
+      const schema = {
+        minLength: 3,
+        errorMessage: { minLength: "'{{instance}}' needs at least {{limit}} characters" }
+      };
+      expect(errorMessages(schema, "ab")).to.eql(["'ab' needs at least 3 characters"]);
+    });
+
+    test("message for every keyword", () => {
+      const schema = { type: "string", minLength: 3, errorMessage: "Enter a {{keyword}} {{limit}} value" };
+      expect(errorMessages(schema, "ab")).to.eql(["Enter a minLength 3 value"]);
+    });
+
+    test("values that aren't strings are interpolated as JSON", () => {
+      /** @type Json */
+      const schema = { enum: ["a", "b"], errorMessage: { enum: "{{instance}} isn't one of {{limit}}" } };
+      expect(errorMessages(schema, { c: 1 })).to.eql(["{\"c\":1} isn't one of [\"a\",\"b\"]"]);
+    });
+
+    test("unknown placeholders are left as they are", () => {
+      const schema = { maximum: 3, errorMessage: { maximum: "{{ limit }} {{max}}" } };
+      expect(errorMessages(schema, 4)).to.eql(["3 {{max}}"]);
+    });
+
+    test("keywords without a message use the locale's message", () => {
+      const schema = { required: ["a"], minProperties: 2, errorMessage: { minProperties: "Too few" } };
+      expect(errorMessages(schema, {})).to.eql(["Missing required property 'a'", "Too few"]);
+    });
+
+    test("messages are used without a locale", () => {
+      setLocale(undefined);
+      const schema = { required: ["a"], minProperties: 2, errorMessage: { minProperties: "Too few" } };
+      expect(errorMessages(schema, {})).to.eql([undefined, "Too few"]);
+    });
+
+    test("only sibling keywords use the messages", () => {
+      const schema = {
+        properties: { a: { type: "string" } },
+        errorMessage: { properties: "Invalid properties", type: "Not used" }
+      };
+      expect(errorMessages(schema, { a: 1 })).to.eql(["Invalid properties", "Expected a string but found a number"]);
+    });
+
+    test("errorMessage is ignored by default", () => {
+      setShouldUseErrorMessageKeyword(false);
+      const schema = { minLength: 3, errorMessage: { minLength: "Too short" } };
+      expect(errorMessages(schema, "ab")).to.eql(["Expected a string with at least 3 characters"]);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import draft202012Schema from "./json-schema.org/draft/2020-12/schema.schema.json" with { type: "json" };
+import draft202012Core from "./json-schema.org/draft/2020-12/meta/core.schema.json" with { type: "json" };
+import draft202012Applicator from "./json-schema.org/draft/2020-12/meta/applicator.schema.json" with { type: "json" };
+import draft202012Unevaluated from "./json-schema.org/draft/2020-12/meta/unevaluated.schema.json" with { type: "json" };
+import draft202012Validation from "./json-schema.org/draft/2020-12/meta/validation.schema.json" with { type: "json" };
+import draft202012MetaData from "./json-schema.org/draft/2020-12/meta/meta-data.schema.json" with { type: "json" };
+import draft202012FormatAnnotation from "./json-schema.org/draft/2020-12/meta/format-annotation.schema.json" with { type: "json" };
+import draft202012FormatAssertion from "./json-schema.org/draft/2020-12/meta/format-assertion.schema.json" with { type: "json" };
+import draft202012Content from "./json-schema.org/draft/2020-12/meta/content.schema.json" with { type: "json" };
+import draft07Schema from "./json-schema.org/draft-07/schema.schema.json" with { type: "json" };
+import draft04Schema from "./json-schema.org/draft-04/schema.schema.json" with { type: "json" };
+
+
+/**
+ * The meta-schemas of the supported dialects by URI. The types TypeScript
+ * infers for JSON modules aren't compatible with `Json`, so they are typed as
+ * `unknown`.
+ *
+ * @type [string, unknown][]
+ */
+export const metaSchemas = [
+  ["https://json-schema.org/draft/2020-12/schema", draft202012Schema],
+  ["https://json-schema.org/draft/2020-12/meta/core", draft202012Core],
+  ["https://json-schema.org/draft/2020-12/meta/applicator", draft202012Applicator],
+  ["https://json-schema.org/draft/2020-12/meta/unevaluated", draft202012Unevaluated],
+  ["https://json-schema.org/draft/2020-12/meta/validation", draft202012Validation],
+  ["https://json-schema.org/draft/2020-12/meta/meta-data", draft202012MetaData],
+  ["https://json-schema.org/draft/2020-12/meta/format-annotation", draft202012FormatAnnotation],
+  ["https://json-schema.org/draft/2020-12/meta/format-assertion", draft202012FormatAssertion],
+  ["https://json-schema.org/draft/2020-12/meta/content", draft202012Content],
+  ["http://json-schema.org/draft-07/schema", draft07Schema],
+  ["http://json-schema.org/draft-04/schema", draft04Schema]
+];
@@ -1,27 +1,168 @@
 /**
- * @import { JsonNode } from "./jsonast.d.ts"
+ * @import { Json, JsonNode } from "./jsonast.d.ts"
  */
 
 
+/**
+ * @typedef {"FLAG" | "BASIC" | "DETAILED" | "VERBOSE"} OutputFormat
+ */
+
+/** @type OutputFormat */
+export const FLAG = "FLAG";
+
+/** @type OutputFormat */
+export const BASIC = "BASIC";
+
+/** @type OutputFormat */
+export const DETAILED = "DETAILED";
+
+/** @type OutputFormat */
+export const VERBOSE = "VERBOSE";
+
+/**
+ * An output unit. When the schema or instance is a JsonNode tree with source
+ * positions, such as one from `parseJson`, `instancePosition` and
+ * `absoluteKeywordPosition` are where the instance and keyword are in their
+ * source text. When a message locale is set, a failing keyword has an `error`
+ * message that explains the failure.
+ */
 export class Output {
   valid;
   instanceLocation;
   absoluteKeywordLocation;
+  instancePosition;
+  absoluteKeywordPosition;
+  /** @type string | undefined */
+  error;
   errors;
+  annotation;
+  annotations;
 
   /**
    * @param {boolean} valid
    * @param {JsonNode} keywordNode
    * @param {JsonNode} instanceNode
-   * @param {Output[]} [errors]
+   * @param {Output[]} [outputs]
+   * @param {Json} [annotation]
    */
-  constructor(valid, keywordNode, instanceNode, errors) {
+  constructor(valid, keywordNode, instanceNode, outputs = [], annotation = undefined) {
     this.valid = valid;
     this.absoluteKeywordLocation = keywordNode.location;
     this.instanceLocation = instanceNode.location;
 
-    if (errors) {
-      this.errors = errors;
+    if (keywordNode.position) {
+      this.absoluteKeywordPosition = keywordNode.position;
+    }
+    if (instanceNode.position) {
+      this.instancePosition = instanceNode.position;
+    }
+
+    if (valid) {
+      if (annotation !== undefined) {
+        this.annotation = annotation;
+      }
+
+      if (outputs.length > 0) {
+        this.annotations = outputs;
+      }
+    } else if (outputs.length > 0) {
+      this.errors = outputs;
     }
   }
 }
+
+/**
+ * Reshape the output of a schema evaluation into the requested output format.
+ * The output is the root of a tree where schema outputs and keyword outputs
+ * alternate. The tree is modified in place.
+ *
+ * @type (output: Output, outputFormat: OutputFormat) => Output
+ */
+export const formatOutput = (output, outputFormat) => {
+  switch (outputFormat) {
+    case FLAG:
+      delete output.errors;
+      delete output.annotations;
+      return output;
+    case BASIC:
+      delete output.annotations;
+      if (output.errors) {
+        output.errors = failedOutputs(output).flatMap(flattenKeywordOutput);
+      }
+      return output;
+    case DETAILED:
+      delete output.annotations;
+      if (output.errors) {
+        output.errors = failedOutputs(output).map(collapseOutput);
+      }
+      return output;
+    case VERBOSE:
+      dropFailedAnnotations(output);
+      return output;
+    default:
+      throw Error(`Unsupported output format '${String(outputFormat)}'`);
+  }
+};
+
+/** @type (output: Output) => Output[] */
+const failedOutputs = (output) => output.errors?.filter((childOutput) => !childOutput.valid) ?? [];
+
+/** @type (keywordOutput: Output) => Output[] */
+const flattenKeywordOutput = (keywordOutput) => {
+  const schemaOutputs = failedOutputs(keywordOutput);
+  delete keywordOutput.errors;
+
+  return [keywordOutput, ...schemaOutputs.flatMap(flattenSchemaOutput)];
+};
+
+/** @type (schemaOutput: Output) => Output[] */
+const flattenSchemaOutput = (schemaOutput) => {
+  if (!schemaOutput.errors) {
+    // A failing schema without failing keywords is a `false` schema
+    return [schemaOutput];
+  }
+
+  return failedOutputs(schemaOutput).flatMap(flattenKeywordOutput);
+};
+
+/**
+ * Any output unit with only one error is replaced by that error. The root
+ * output unit is never collapsed.
+ *
+ * @type (output: Output) => Output
+ */
+const collapseOutput = (output) => {
+  if (!output.errors) {
+    return output;
+  }
+
+  const errors = failedOutputs(output).map(collapseOutput);
+  if (errors.length === 0) {
+    delete output.errors;
+    return output;
+  }
+
+  output.errors = errors;
+  return errors.length === 1 ? errors[0] : output;
+};
+
+/** @type (output: Output) => void */
+const dropFailedAnnotations = (output) => {
+  if (output.valid) {
+    output.annotations?.forEach(dropFailedAnnotations);
+  } else {
+    output.errors?.forEach(dropAnnotations);
+  }
+};
+
+/**
+ * Annotations don't survive a failed evaluation, so everything below a failed
+ * output unit loses its annotation.
+ *
+ * @type (output: Output) => void
+ */
+const dropAnnotations = (output) => {
+  delete output.annotation;
+  output.errors?.forEach(dropAnnotations);
+  output.annotations?.forEach(dropAnnotations);
+};
@@ -0,0 +1,223 @@
+import { describe, test, expect } from "vitest";
+import {
+  createRegistry,
+  compile,
+  hasSchema,
+  listSchemas,
+  registerSchema,
+  setLocale,
+  setShouldUseErrorMessageKeyword,
+  unregisterSchema,
+  validate,
+  validateAsync,
+  BASIC
+} from "./index.js";
+
+
+describe("Registries", () => {
+  test("registries are isolated from each other and the default registry", () => {
+    const tenantA = createRegistry();
+    const tenantB = createRegistry();
+    tenantA.registerSchema({ type: "string" }, "https://example.com/registry/name");
+    tenantB.registerSchema({ type: "number" }, "https://example.com/registry/name");
+
+    expect(tenantA.validate({ $ref: "https://example.com/registry/name" }, "foo").valid).to.equal(true);
+    expect(tenantB.validate({ $ref: "https://example.com/registry/name" }, "foo").valid).to.equal(false);
+    expect(hasSchema("https://example.com/registry/name")).to.equal(false);
+    expect(() => validate({ $ref: "https://example.com/registry/name" }, "foo"))
+      .to.throw("Invalid reference: https://example.com/registry/name");
+  });
+
+  test("the meta-schemas of the supported dialects are in every registry", () => {
+    const registry = createRegistry();
+
+    expect(registry.hasSchema("https://json-schema.org/draft/2020-12/schema")).to.equal(true);
+    expect(registry.hasSchema("http://json-schema.org/draft-07/schema")).to.equal(true);
+    expect(registry.validate({ $schema: "http://json-schema.org/draft-04/schema#", type: "integer" }, 1).valid)
+      .to.equal(true);
+    expect(registry.listSchemas()).to.eql([]);
+  });
+
+  test("compiled validators use the registry the schema was compiled with", () => {
+    const registry = createRegistry();
+    registry.registerSchema({ minimum: 10 }, "https://example.com/registry/compiled");
+    registerSchema({ maximum: 10 }, "https://example.com/registry/compiled");
+
+    const validateRegistry = registry.compile({ $ref: "https://example.com/registry/compiled" });
+    const validateDefault = compile({ $ref: "https://example.com/registry/compiled" });
+    expect(validateRegistry(20).valid).to.equal(true);
+    expect(validateDefault(20).valid).to.equal(false);
+    unregisterSchema("https://example.com/registry/compiled");
+  });
+
+  test("retrieved schemas are registered in the registry that retrieved them", async () => {
+    const registry = createRegistry();
+    const retrieve = () => Promise.resolve({ type: "boolean" });
+
+    const output = await registry.validateAsync({ $ref: "https://example.com/registry/retrieved" }, true, undefined, retrieve);
+    expect(output.valid).to.equal(true);
+    expect(registry.hasSchema("https://example.com/registry/retrieved")).to.equal(true);
+    expect(hasSchema("https://example.com/registry/retrieved")).to.equal(false);
+  });
+
+  test("retrievals in different registries can overlap", async () => {
+    const tenantA = createRegistry();
+    const tenantB = createRegistry();
+
+    const [outputA, outputB] = await Promise.all([
+      tenantA.validateAsync({ $ref: "https://example.com/registry/overlap" }, "foo", undefined, () => {
+        return Promise.resolve({ type: "string" });
+      }),
+      tenantB.validateAsync({ $ref: "https://example.com/registry/overlap" }, "foo", undefined, () => {
+        return Promise.resolve({ type: "null" });
+      })
+    ]);
+    expect(outputA.valid).to.equal(true);
+    expect(outputB.valid).to.equal(false);
+  });
+
+  test("has: JSON Pointer and anchor fragments", () => {
+    const registry = createRegistry();
+    registry.registerSchema({
+      $defs: {
+        foo: { $anchor: "foo" }
+      }
+    }, "https://example.com/registry/fragments");
+
+    expect(registry.hasSchema("https://example.com/registry/fragments")).to.equal(true);
+    expect(registry.hasSchema("https://example.com/registry/fragments#/$defs/foo")).to.equal(true);
+    expect(registry.hasSchema("https://example.com/registry/fragments#foo")).to.equal(true);
+    expect(registry.hasSchema("https://example.com/registry/fragments#/$defs/bar")).to.equal(false);
+    expect(registry.hasSchema("https://example.com/registry/fragments#bar")).to.equal(false);
+    expect(registry.hasSchema("https://example.com/registry/unknown")).to.equal(false);
+  });
+
+  test("list: registered schemas and the resources within them", () => {
+    const registry = createRegistry();
+    registry.registerSchema({
+      $id: "https://example.com/registry/list/person",
+      $defs: {
+        name: { $id: "name", $anchor: "name", type: "string" }
+      }
+    }, "https://example.com/registry/list/person");
+    registry.registerSchema({ type: "integer" }, "https://example.com/registry/list/age");
+
+    expect(registry.listSchemas()).to.eql([
+      "https://example.com/registry/list/person",
+      "https://example.com/registry/list/name",
+      "https://example.com/registry/list/age"
+    ]);
+  });
+
+  test("unregister: the resources and anchors within the schema are unregistered", () => {
+    const registry = createRegistry();
+    registry.registerSchema({
+      $id: "https://example.com/registry/unregister/person",
+      $defs: {
+        name: { $id: "name", $anchor: "name", type: "string" }
+      }
+    }, "https://example.com/registry/unregister/file.json");
+    registry.registerSchema({ type: "integer" }, "https://example.com/registry/unregister/age");
+
+    registry.unregisterSchema("https://example.com/registry/unregister/person");
+    expect(registry.hasSchema("https://example.com/registry/unregister/file.json")).to.equal(false);
+    expect(registry.hasSchema("https://example.com/registry/unregister/person")).to.equal(false);
+    expect(registry.hasSchema("https://example.com/registry/unregister/name")).to.equal(false);
+    expect(registry.hasSchema("https://example.com/registry/unregister/name#name")).to.equal(false);
+    expect(registry.listSchemas()).to.eql(["https://example.com/registry/unregister/age"]);
+    expect(() => registry.validate({ $ref: "https://example.com/registry/unregister/person" }, "foo"))
+      .to.throw("Invalid reference: https://example.com/registry/unregister/person");
+  });
+
+  test("unregister: schemas that replaced part of the schema stay registered", () => {
+    const registry = createRegistry();
+    registry.registerSchema({
+      $defs: {
+        name: { $id: "name", type: "string" }
+      }
+    }, "https://example.com/registry/replaced/person");
+    registry.registerSchema({ type: "null" }, "https://example.com/registry/replaced/name");
+
+    registry.unregisterSchema("https://example.com/registry/replaced/person");
+    expect(registry.listSchemas()).to.eql(["https://example.com/registry/replaced/name"]);
+    expect(registry.validate({ $ref: "https://example.com/registry/replaced/name" }, null).valid).to.equal(true);
+  });
+
+  test("unregister: URIs that weren't registered are ignored", () => {
+    const registry = createRegistry();
+
+    expect(() => {
+      registry.unregisterSchema("https://example.com/registry/unknown");
+      registry.unregisterSchema("https://json-schema.org/draft/2020-12/schema");
+    }).not.to.throw();
+    expect(registry.hasSchema("https://json-schema.org/draft/2020-12/schema")).to.equal(true);
+  });
+
+  test("the default registry", () => {
+    registerSchema({ type: "string" }, "https://example.com/registry/default");
+
+    expect(hasSchema("https://example.com/registry/default")).to.equal(true);
+    expect(listSchemas()).to.include("https://example.com/registry/default");
+    unregisterSchema("https://example.com/registry/default");
+    expect(hasSchema("https://example.com/registry/default")).to.equal(false);
+    expect(listSchemas()).not.to.include("https://example.com/registry/default");
+  });
+
+  test("validating a schema doesn't unregister the schema with the same $id", async () => {
+    const registry = createRegistry();
+    registry.registerSchema({ $id: "https://example.com/registry/shadowed", type: "string" }, "https://example.com/registry/shadowed");
+
+    expect(registry.validate({ $id: "https://example.com/registry/shadowed", type: "number" }, 1).valid).to.equal(true);
+    await registry.validateAsync({ $id: "https://example.com/registry/shadowed", type: "number" }, 1);
+    expect(registry.validate({ $ref: "https://example.com/registry/shadowed" }, "foo").valid).to.equal(true);
+    expect(registry.listSchemas()).to.eql(["https://example.com/registry/shadowed"]);
+  });
+
+  test("validating a schema doesn't unregister the schema with the same $id in the default registry", async () => {
+    registerSchema({ $id: "https://example.com/registry/default-shadowed", type: "string" }, "https://example.com/registry/default-shadowed");
+
+    expect(validate({ $id: "https://example.com/registry/default-shadowed", type: "number" }, 1).valid).to.equal(true);
+    expect((await validateAsync({ $id: "https://example.com/registry/default-shadowed", type: "number" }, 1)).valid).to.equal(true);
+    expect(validate({ $ref: "https://example.com/registry/default-shadowed" }, "foo").valid).to.equal(true);
+    unregisterSchema("https://example.com/registry/default-shadowed");
+  });
+
+  test("a schema with a loop doesn't replace the schema registered with its URI", () => {
+    const registry = createRegistry();
+    registry.registerSchema({ type: "string" }, "https://example.com/registry/loop");
+
+    expect(() => registry.registerSchema({ $ref: "#" }, "https://example.com/registry/loop")).to.throw("Infinite loop");
+    expect(registry.validate({ $ref: "https://example.com/registry/loop" }, "foo").valid).to.equal(true);
+  });
+
+  test("each registry has its own locale", () => {
+    const tenantA = createRegistry();
+    const tenantB = createRegistry();
+    tenantA.setLocale("en");
+    const validateB = tenantB.compile({ required: ["name"] });
+
+    expect(tenantA.validate({ required: ["name"] }, {}, BASIC).errors?.[0].error).to.equal("Missing required property 'name'");
+    expect(tenantB.validate({ required: ["name"] }, {}, BASIC).errors?.[0].error).to.equal(undefined);
+    expect(validateB({}, BASIC).errors?.[0].error).to.equal(undefined);
+    expect(validate({ required: ["name"] }, {}, BASIC).errors?.[0].error).to.equal(undefined);
+
+    setLocale("en");
+    expect(tenantB.validate({ required: ["name"] }, {}, BASIC).errors?.[0].error).to.equal(undefined);
+    setLocale(undefined);
+  });
+
+  test("each registry has its own errorMessage setting", () => {
+    const tenantA = createRegistry();
+    const tenantB = createRegistry();
+    tenantA.setShouldUseErrorMessageKeyword(true);
+    const schema = { minLength: 3, errorMessage: "Too short" };
+
+    expect(tenantA.validate(schema, "a", BASIC).errors?.[0].error).to.equal("Too short");
+    expect(tenantB.validate(schema, "a", BASIC).errors?.[0].error).to.equal(undefined);
+
+    setShouldUseErrorMessageKeyword(true);
+    expect(tenantB.validate(schema, "a", BASIC).errors?.[0].error).to.equal(undefined);
+    expect(validate(schema, "a", BASIC).errors?.[0].error).to.equal("Too short");
+    setShouldUseErrorMessageKeyword(false);
+  });
+});
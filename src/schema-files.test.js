@@ -0,0 +1,160 @@
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+import { describe, test, expect, beforeAll, afterAll } from "vitest";
+import { registerSchemaFiles, validate, BASIC } from "./index.js";
+
+
+describe("Schema files", () => {
+  /** @type string */
+  let schemasPath;
+
+  beforeAll(async () => {
+    schemasPath = await mkdtemp(join(tmpdir(), "json-schema-lite-"));
+    await mkdir(join(schemasPath, "common"));
+    await writeFile(join(schemasPath, "person.json"), JSON.stringify({
+      $id: "https://example.com/person",
+      type: "object",
+      properties: {
+        name: { type: "string" }
+      }
+    }));
+    await writeFile(join(schemasPath, "order.json"), JSON.stringify({
+      type: "object",
+      properties: {
+        shipTo: { $ref: "./common/address.json" }
+      }
+    }));
+    await writeFile(join(schemasPath, "common", "address.json"), JSON.stringify({
+      type: "object",
+      required: ["street"]
+    }));
+    await writeFile(join(schemasPath, "missing-ref.json"), JSON.stringify({
+      $ref: "./common/missing.json"
+    }));
+    await writeFile(join(schemasPath, "invalid-ref.json"), JSON.stringify({
+      $ref: "./invalid.txt"
+    }));
+    await writeFile(join(schemasPath, "invalid.txt"), "{ type: string }");
+    await writeFile(join(schemasPath, "common", "product.yaml"), [
+      "$id: https://example.com/product",
+      "type: object",
+      "required: [sku]"
+    ].join("\n"));
+  });
+
+  afterAll(async () => {
+    await rm(schemasPath, { recursive: true, force: true });
+  });
+
+  test("register a file by its file URI", () => {
+    registerSchemaFiles(join(schemasPath, "person.json"));
+    const personUri = pathToFileURL(join(schemasPath, "person.json")).href;
+    expect(validate({ $ref: personUri }, { name: 42 }).valid).to.equal(false);
+  });
+
+  test("register a directory by $id", () => {
+    registerSchemaFiles(schemasPath);
+    expect(validate({ $ref: "https://example.com/person" }, { name: "Jason" }).valid).to.equal(true);
+  });
+
+  test("relative references are read on demand", async () => {
+    const onDemandPath = await mkdtemp(join(tmpdir(), "json-schema-lite-"));
+    try {
+      await mkdir(join(onDemandPath, "common"));
+      await writeFile(join(onDemandPath, "order.json"), JSON.stringify({
+        type: "object",
+        properties: {
+          shipTo: { $ref: "./common/address.json" }
+        }
+      }));
+      await writeFile(join(onDemandPath, "common", "address.json"), JSON.stringify({
+        type: "object",
+        required: ["street"]
+      }));
+
+      registerSchemaFiles(join(onDemandPath, "order.json"));
+      const orderUri = pathToFileURL(join(onDemandPath, "order.json")).href;
+      expect(validate({ $ref: orderUri }, { shipTo: { street: "Main" } }).valid).to.equal(true);
+      expect(validate({ $ref: orderUri }, { shipTo: {} }).valid).to.equal(false);
+    } finally {
+      await rm(onDemandPath, { recursive: true, force: true });
+    }
+  });
+
+  test("files read on demand have the dialect of the schema file that references them", async () => {
+    const onDemandPath = await mkdtemp(join(tmpdir(), "json-schema-lite-"));
+    try {
+      await writeFile(join(onDemandPath, "price.json"), JSON.stringify({ $ref: "./positive.json" }));
+      await writeFile(join(onDemandPath, "positive.json"), JSON.stringify({ minimum: 0, exclusiveMinimum: true }));
+
+      registerSchemaFiles(join(onDemandPath, "price.json"), "http://json-schema.org/draft-04/schema#");
+      const priceUri = pathToFileURL(join(onDemandPath, "price.json")).href;
+      expect(validate({ $ref: priceUri }, 1).valid).to.equal(true);
+      expect(validate({ $ref: priceUri }, 0).valid).to.equal(false);
+    } finally {
+      await rm(onDemandPath, { recursive: true, force: true });
+    }
+  });
+
+  test("files aren't read for references from schemas that aren't files", async () => {
+    const secretPath = await mkdtemp(join(tmpdir(), "json-schema-lite-"));
+    try {
+      await writeFile(join(secretPath, "secret.json"), JSON.stringify({ const: "secret" }));
+
+      const secretUri = pathToFileURL(join(secretPath, "secret.json")).href;
+      expect(() => validate({ $id: "https://example.com/untrusted", $ref: secretUri }, {}))
+        .toThrow(`Invalid reference: ${secretUri}`);
+      expect(() => validate({ $ref: secretUri }, {}))
+        .toThrow(`Invalid reference: ${secretUri}`);
+    } finally {
+      await rm(secretPath, { recursive: true, force: true });
+    }
+  });
+
+  test("missing file", () => {
+    const uri = pathToFileURL(join(schemasPath, "missing-ref.json")).href;
+    expect(() => validate({ $ref: uri }, {}))
+      .toThrow(`Schema file not found: ${join(schemasPath, "common", "missing.json")}`);
+  });
+
+  test("invalid JSON", () => {
+    const uri = pathToFileURL(join(schemasPath, "invalid-ref.json")).href;
+    expect(() => validate({ $ref: uri }, {}))
+      .toThrow(`Invalid JSON in schema file ${join(schemasPath, "invalid.txt")}: Expected a property name but found 't' at line 1, column 3`);
+  });
+
+  test("errors have positions in the schema file", () => {
+    const orderUri = pathToFileURL(join(schemasPath, "order.json")).href;
+    const output = validate({ $ref: orderUri }, { shipTo: {} }, BASIC);
+    expect(output.errors).toContainEqual(expect.objectContaining({
+      absoluteKeywordLocation: pathToFileURL(join(schemasPath, "common", "address.json")).href + "#/required",
+      absoluteKeywordPosition: {
+        start: { line: 1, column: 29, offset: 28 },
+        end: { line: 1, column: 39, offset: 38 }
+      }
+    }));
+  });
+
+  test("YAML files", () => {
+    expect(validate({ $ref: "https://example.com/product" }, { sku: "a1" }).valid).to.equal(true);
+    expect(validate({ $ref: "https://example.com/product" }, {}).valid).to.equal(false);
+  });
+
+  test("invalid YAML", async () => {
+    const invalidPath = await mkdtemp(join(tmpdir(), "json-schema-lite-"));
+    try {
+      await writeFile(join(invalidPath, "invalid.yml"), "sku: !upc 123");
+      expect(() => registerSchemaFiles(invalidPath))
+        .toThrow(`Invalid YAML in schema file ${join(invalidPath, "invalid.yml")}: Unsupported tag '!upc' at line 1, column 11`);
+    } finally {
+      await rm(invalidPath, { recursive: true, force: true });
+    }
+  });
+
+  test("missing path", () => {
+    expect(() => registerSchemaFiles(join(schemasPath, "nope")))
+      .toThrow(`Schema file not found: ${join(schemasPath, "nope")}`);
+  });
+});
@@ -0,0 +1,167 @@
+import { createServer } from "node:http";
+import { describe, test, expect, beforeAll, afterAll } from "vitest";
+import { validateAsync, BASIC } from "./index.js";
+
+/**
+ * @import { AddressInfo } from "node:net"
+ * @import { Server } from "node:http"
+ * @import { Json } from "./jsonast.d.ts"
+ */
+
+
+/** @type (schemas: Record<string, Json>) => [(uri: string) => Promise<Json>, string[]] */
+const inMemoryRetrieve = (schemas) => {
+  /** @type string[] */
+  const retrieved = [];
+
+  /** @type (uri: string) => Promise<Json> */
+  const retrieve = (uri) => {
+    retrieved.push(uri);
+    return uri in schemas ? Promise.resolve(schemas[uri]) : Promise.reject(Error(`Not found: ${uri}`));
+  };
+
+  return [retrieve, retrieved];
+};
+
+describe("Schema retrieval", () => {
+  test("retrieves referenced schemas", async () => {
+    const [retrieve, retrieved] = inMemoryRetrieve({
+      "https://retrieval.example.com/string": { type: "string" }
+    });
+    const schema = { $ref: "https://retrieval.example.com/string" };
+
+    expect((await validateAsync(schema, "foo", BASIC, retrieve)).valid).to.equal(true);
+    expect((await validateAsync(schema, 42, BASIC, retrieve)).valid).to.equal(false);
+    expect(retrieved).to.eql(["https://retrieval.example.com/string"]);
+  });
+
+  test("retrieves schemas referenced by retrieved schemas", async () => {
+    const [retrieve, retrieved] = inMemoryRetrieve({
+      "https://retrieval.example.com/person": {
+        type: "object",
+        properties: {
+          address: { $ref: "address" }
+        }
+      },
+      "https://retrieval.example.com/address": {
+        type: "object",
+        required: ["street"]
+      }
+    });
+    const schema = { $ref: "https://retrieval.example.com/person" };
+
+    const output = await validateAsync(schema, { address: {} }, BASIC, retrieve);
+    expect(output.valid).to.equal(false);
+    expect(retrieved).to.eql([
+      "https://retrieval.example.com/person",
+      "https://retrieval.example.com/address"
+    ]);
+  });
+
+  test("retrieves each schema in a reference loop once", async () => {
+    const [retrieve, retrieved] = inMemoryRetrieve({
+      "https://retrieval.example.com/tree": {
+        type: "object",
+        properties: {
+          children: { type: "array", items: { $ref: "node" } }
+        }
+      },
+      "https://retrieval.example.com/node": {
+        properties: {
+          value: { type: "number" },
+          subtree: { $ref: "tree" }
+        }
+      }
+    });
+    const schema = { $ref: "https://retrieval.example.com/tree" };
+    const instance = { children: [{ value: 1, subtree: { children: [{ value: "2" }] } }] };
+
+    const output = await validateAsync(schema, instance, BASIC, retrieve);
+    expect(output.valid).to.equal(false);
+    expect(retrieved).to.eql([
+      "https://retrieval.example.com/tree",
+      "https://retrieval.example.com/node"
+    ]);
+  });
+
+  test("retrieves unknown meta-schemas", async () => {
+    const [retrieve, retrieved] = inMemoryRetrieve({
+      "https://retrieval.example.com/meta": {
+        $schema: "https://json-schema.org/draft/2020-12/schema",
+        $vocabulary: {
+          "https://json-schema.org/draft/2020-12/vocab/core": true,
+          "https://json-schema.org/draft/2020-12/vocab/validation": true
+        },
+        $ref: "https://json-schema.org/draft/2020-12/schema"
+      }
+    });
+    const schema = { $schema: "https://retrieval.example.com/meta", type: "string" };
+
+    const output = await validateAsync(schema, "foo", BASIC, retrieve);
+    expect(output.valid).to.equal(true);
+    expect(retrieved).to.eql(["https://retrieval.example.com/meta"]);
+  });
+
+  test("doesn't retrieve embedded or registered schemas", async () => {
+    const [retrieve, retrieved] = inMemoryRetrieve({});
+    const schema = {
+      $ref: "https://retrieval.example.com/embedded",
+      $defs: {
+        embedded: { $id: "https://retrieval.example.com/embedded", type: "string" }
+      }
+    };
+
+    const output = await validateAsync(schema, "foo", BASIC, retrieve);
+    expect(output.valid).to.equal(true);
+    expect(retrieved).to.eql([]);
+  });
+
+  test("retrieval failure", async () => {
+    const [retrieve] = inMemoryRetrieve({});
+    const schema = { $ref: "https://retrieval.example.com/missing" };
+
+    await expect(validateAsync(schema, "foo", BASIC, retrieve))
+      .rejects.toThrow("Unable to retrieve schema: https://retrieval.example.com/missing");
+  });
+
+  describe("fetch", () => {
+    /** @type Server */
+    let server;
+
+    /** @type string */
+    let serverUrl;
+
+    beforeAll(async () => {
+      server = createServer((request, response) => {
+        if (request.url === "/integer") {
+          response.writeHead(200, { "Content-Type": "application/schema+json" });
+          response.end(JSON.stringify({ type: "integer" }));
+        } else {
+          response.writeHead(404, "Not Found").end();
+        }
+      });
+
+      await new Promise((resolve) => {
+        server.listen(0, "localhost", () => {
+          resolve(undefined);
+        });
+      });
+      serverUrl = `http://localhost:${(/** @type AddressInfo */ (server.address())).port}`;
+    });
+
+    afterAll(() => {
+      server.close();
+    });
+
+    test("retrieves schemas over HTTP by default", async () => {
+      const schema = { $ref: `${serverUrl}/integer` };
+      expect((await validateAsync(schema, 42)).valid).to.equal(true);
+      expect((await validateAsync(schema, 4.2)).valid).to.equal(false);
+    });
+
+    test("unsuccessful response", async () => {
+      const schema = { $ref: `${serverUrl}/missing` };
+      await expect(validateAsync(schema, 42)).rejects.toThrow(`Unable to retrieve schema: ${serverUrl}/missing`);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, test, expect, beforeAll, beforeEach } from "vitest";
+import { addKeyword, validate, Output, BASIC, FLAG, VERBOSE } from "./index.js";
+
+/**
+ * @import { Json } from "./jsonast.d.ts"
+ * @import { OutputFormat } from "./output.js"
+ */
+
+
+describe("Short-circuit evaluation", () => {
+  let evaluations = 0;
+
+  beforeAll(() => {
+    addKeyword("x-evaluations", (keywordNode, instanceNode) => {
+      evaluations++;
+      return new Output(true, keywordNode, instanceNode);
+    });
+  });
+
+  beforeEach(() => {
+    evaluations = 0;
+  });
+
+  /** @type (schema: Json, instance: Json, outputFormat: OutputFormat) => [boolean, number] */
+  const evaluate = (schema, instance, outputFormat) => {
+    evaluations = 0;
+    const output = validate(schema, instance, outputFormat);
+    return [output.valid, evaluations];
+  };
+
+  test.each([
+    ["schema keywords", { type: "string", "x-evaluations": true }, 42, false, 0, 1],
+    ["allOf", { allOf: [false, { "x-evaluations": true }] }, 42, false, 0, 1],
+    ["anyOf", { anyOf: [true, { "x-evaluations": true }] }, 42, true, 0, 1],
+    ["oneOf", { oneOf: [true, true, { "x-evaluations": true }] }, 42, false, 0, 1],
+    ["items", { items: { "x-evaluations": true, type: "string" } }, [1, 2, 3], false, 1, 3],
+    ["properties", {
+      properties: {
+        a: { "x-evaluations": true, type: "string" },
+        b: { "x-evaluations": true }
+      }
+    }, { a: 1, b: 2 }, false, 1, 2],
+    ["contains", {
+      contains: { "x-evaluations": true, const: 1 },
+      maxContains: 1
+    }, [1, 1, 1, 1], false, 2, 4]
+  ])("%s", (_name, schema, instance, valid, flagEvaluations, basicEvaluations) => {
+    expect(evaluate(schema, instance, FLAG)).to.eql([valid, flagEvaluations]);
+    expect(evaluate(schema, instance, BASIC)).to.eql([valid, basicEvaluations]);
+  });
+
+  test("annotations are fully evaluated", () => {
+    const schema = { anyOf: [true, { "x-evaluations": true, title: "Foo" }] };
+    const output = validate(schema, 42, VERBOSE);
+    expect(evaluations).to.equal(1);
+    expect(output.annotations?.[0].annotations).to.have.length(2);
+  });
+
+  test("unevaluated keywords see every annotation", () => {
+    /** @type Json */
+    const schema = {
+      anyOf: [
+        { properties: { a: true } },
+        { properties: { b: true } }
+      ],
+      unevaluatedProperties: false
+    };
+    expect(validate(schema, { a: 1, b: 2 }).valid).to.equal(true);
+    expect(validate(schema, { a: 1, c: 3 }).valid).to.equal(false);
+  });
+
+  test("invalid schemas report every error", () => {
+    try {
+      validate({ type: "foo", minLength: -1 }, "");
+      expect.fail("Expected an InvalidSchemaError");
+    } catch (error) {
+      const { output } = /** @type {{ output: Output }} */ (error);
+      const errorLocations = output.errors?.map((error) => error.instanceLocation);
+      expect(errorLocations).toContain("#/type");
+      expect(errorLocations).toContain("#/minLength");
+    }
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, test, expect, afterEach } from "vitest";
+import {
+  addKeyword,
+  generateStandaloneValidator,
+  registerSchema,
+  setShouldValidateFormat,
+  validate,
+  Output
+} from "./index.js";
+import { importStandaloneValidator } from "./test-util.js";
+
+/**
+ * @import { Json } from "./jsonast.d.ts"
+ */
+
+
+describe("Standalone validators", () => {
+  afterEach(() => {
+    setShouldValidateFormat(false);
+  });
+
+  test("same output as validate", async () => {
+    /** @type Json */
+    const schema = {
+      $id: "https://example.com/standalone-tree",
+      $dynamicAnchor: "node",
+      type: "object",
+      properties: {
+        value: { type: "number" },
+        children: { type: "array", items: { $dynamicRef: "#node" } }
+      },
+      unevaluatedProperties: false
+    };
+    const standaloneValidate = await importStandaloneValidator(generateStandaloneValidator(schema));
+
+    /** @type Json[] */
+    const instances = [
+      { value: 1, children: [{ value: 2 }] },
+      { value: 1, children: [{ value: "2" }] },
+      { value: 1, extra: true }
+    ];
+    for (const instance of instances) {
+      expect(standaloneValidate(instance)).toEqual(validate(schema, instance));
+    }
+  });
+
+  test("includes registered schemas", async () => {
+    registerSchema({ type: "string", maxLength: 3 }, "https://example.com/standalone-short-string");
+    const code = generateStandaloneValidator({ $ref: "https://example.com/standalone-short-string" });
+    const standaloneValidate = await importStandaloneValidator(code);
+
+    expect(standaloneValidate("foo").valid).to.equal(true);
+    expect(standaloneValidate("foobar").valid).to.equal(false);
+  });
+
+  test("doesn't import anything unless asserting formats", () => {
+    const code = generateStandaloneValidator({ type: "string", format: "date" });
+    expect(code).not.toContain("import");
+  });
+
+  test("format assertion", async () => {
+    setShouldValidateFormat(true);
+    const code = generateStandaloneValidator({ type: "string", format: "date" });
+    const standaloneValidate = await importStandaloneValidator(code);
+
+    expect(code).toContain(`import * as Format from "@hyperjump/json-schema-formats";`);
+    expect(standaloneValidate("2024-02-29").valid).to.equal(true);
+    expect(standaloneValidate("2023-02-29").valid).to.equal(false);
+  });
+
+  test("@hyperjump/json-schema-formats is the only import", () => {
+    setShouldValidateFormat(true);
+    const code = generateStandaloneValidator({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      properties: {
+        date: { format: "date" },
+        email: { format: "email" },
+        uri: { format: "uri" }
+      }
+    });
+
+    expect(code.match(/^import .*$/gm)).to.eql([`import * as Format from "@hyperjump/json-schema-formats";`]);
+  });
+
+  test("custom keywords aren't supported", () => {
+    addKeyword("x-standalone", (keywordNode, instanceNode) => new Output(true, keywordNode, instanceNode));
+    expect(() => generateStandaloneValidator({ "x-standalone": true }))
+      .toThrow("The 'x-standalone' keyword isn't supported in standalone validators");
+  });
+
+  test("built-in keywords replaced with addKeyword aren't supported", () => {
+    addKeyword("dependencies", (keywordNode, instanceNode) => new Output(false, keywordNode, instanceNode));
+
+    /** @type Json */
+    const schema = { $schema: "http://json-schema.org/draft-07/schema#", dependencies: {} };
+    expect(validate(schema, {}).valid).to.equal(false);
+    expect(() => generateStandaloneValidator(schema))
+      .toThrow("The 'dependencies' keyword isn't supported in standalone validators");
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * @import { Json } from "./jsonast.d.ts"
+ * @import { Output } from "./index.js"
+ */
+
+
+/**
+ * Import a module from `generateStandaloneValidator`. Generated modules import
+ * format validators by package name, which can't be resolved from a `data:`
+ * URL.
+ *
+ * @type (code: string) => Promise<(instance: Json) => Output>
+ */
+export const importStandaloneValidator = async (code) => {
+  const formatsUrl = import.meta.resolve("@hyperjump/json-schema-formats");
+  const source = code.replace(`"@hyperjump/json-schema-formats"`, JSON.stringify(formatsUrl));
+  /** @type {{ validate: (instance: Json) => Output }} */
+  const standaloneModule = await import(/* @vite-ignore */ `data:text/javascript,${encodeURIComponent(source)}`); // eslint-disable-line @typescript-eslint/no-unsafe-assignment
+  return standaloneModule.validate;
+};
@@ -0,0 +1,68 @@
+import { describe, test, expect } from "vitest";
+import { addKeyword, validate, Output, BASIC, FLAG } from "./index.js";
+
+/**
+ * @import { Json } from "./jsonast.d.ts"
+ */
+
+
+describe("Unevaluated keywords", () => {
+  test.each([FLAG, BASIC])("the other keywords are only evaluated once (%s)", (outputFormat) => {
+    let count = 0;
+    addKeyword("x-count", (keywordNode, instanceNode) => {
+      count++;
+      return new Output(true, keywordNode, instanceNode);
+    });
+
+    /** @type Json */
+    const schema = {
+      allOf: [
+        {
+          allOf: [{ "x-count": true, properties: { foo: true } }],
+          unevaluatedProperties: { type: "string" }
+        }
+      ],
+      unevaluatedProperties: false
+    };
+    expect(validate(schema, { foo: 1, bar: "a" }, outputFormat).valid).to.equal(true);
+    expect(count).to.equal(1);
+  });
+
+  test("every matching anyOf subschema evaluates properties in Flag output", () => {
+    /** @type Json */
+    const schema = {
+      anyOf: [
+        { properties: { foo: true } },
+        { properties: { bar: true } }
+      ],
+      unevaluatedProperties: false
+    };
+    expect(validate(schema, { foo: 1, bar: 2 }).valid).to.equal(true);
+    expect(validate(schema, { foo: 1, baz: 2 }).valid).to.equal(false);
+  });
+
+  test("keywords that appear after the unevaluated keywords", () => {
+    /** @type Json */
+    const schema = { unevaluatedItems: false, prefixItems: [true] };
+    expect(validate(schema, [1]).valid).to.equal(true);
+
+    const output = validate(schema, [1, 2], BASIC);
+    expect(output.errors).toEqual([
+      { valid: false, absoluteKeywordLocation: "#/unevaluatedItems", instanceLocation: "#" },
+      { valid: false, absoluteKeywordLocation: "#/unevaluatedItems", instanceLocation: "#/1" }
+    ]);
+  });
+
+  test("then and else evaluate properties", () => {
+    /** @type Json */
+    const schema = {
+      if: { properties: { foo: { const: 1 } } },
+      then: { properties: { bar: true } },
+      else: { properties: { foo: true, baz: true } },
+      unevaluatedProperties: false
+    };
+    expect(validate(schema, { foo: 1, bar: 2 }).valid).to.equal(true);
+    expect(validate(schema, { foo: 2, baz: 2 }).valid).to.equal(true);
+    expect(validate(schema, { foo: 2, bar: 2 }).valid).to.equal(false);
+  });
+});
@@ -0,0 +1,64 @@
+import { bench, describe } from "vitest";
+import { compile, validate } from "./index.js";
+
+/**
+ * @import { Json } from "./jsonast.d.ts"
+ */
+
+
+/** @type Json */
+const schema = {
+  $id: "https://example.com/order",
+  type: "object",
+  required: ["id", "status", "items"],
+  properties: {
+    id: { type: "string", pattern: "^ord_[0-9a-z]+$" },
+    status: { enum: ["pending", "paid", "shipped", "cancelled"] },
+    currency: { const: "USD" },
+    items: {
+      type: "array",
+      minItems: 1,
+      items: { $ref: "#/$defs/item" }
+    }
+  },
+  patternProperties: {
+    "^x-": { type: "string" }
+  },
+  additionalProperties: false,
+  $defs: {
+    item: {
+      type: "object",
+      required: ["sku", "quantity"],
+      properties: {
+        sku: { type: "string", pattern: "^[A-Z]{3}-[0-9]{4}$" },
+        quantity: { type: "integer", minimum: 1 },
+        price: { type: "number", exclusiveMinimum: 0 }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+/** @type Json */
+const instance = {
+  id: "ord_12ab",
+  status: "paid",
+  currency: "USD",
+  "x-source": "web",
+  items: Array.from({ length: 20 }, (_, index) => ({
+    sku: `ABC-${String(index).padStart(4, "0")}`,
+    quantity: index + 1,
+    price: 9.99
+  }))
+};
+
+describe("Validate an instance", () => {
+  bench("validate", () => {
+    validate(schema, instance);
+  });
+
+  const validator = compile(schema);
+  bench("compile once", () => {
+    validator(instance);
+  });
+});
@@ -0,0 +1,349 @@
+import { describe, test, expect } from "vitest";
+import { addKeyword, validate, Output, FLAG, VERBOSE } from "./index.js";
+
+
+describe("Verbose output format", () => {
+  test.each([
+    ["title", "Foo"],
+    ["description", "Foo"],
+    ["default", { foo: 42 }],
+    ["examples", [1, 2]],
+    ["deprecated", true],
+    ["readOnly", true],
+    ["writeOnly", false]
+  ])("%s", (keyword, value) => {
+    const output = validate({ [keyword]: value }, 42, VERBOSE);
+    expect(output).toEqual({
+      valid: true,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      annotations: [
+        {
+          valid: true,
+          absoluteKeywordLocation: `#/${keyword}`,
+          instanceLocation: "#",
+          annotation: value
+        }
+      ]
+    });
+  });
+
+  test("properties", () => {
+    const output = validate({
+      properties: {
+        foo: { title: "Foo" },
+        bar: true
+      }
+    }, { foo: 42, baz: 42 }, VERBOSE);
+    expect(output).toEqual({
+      valid: true,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      annotations: [
+        {
+          valid: true,
+          absoluteKeywordLocation: "#/properties",
+          instanceLocation: "#",
+          annotation: ["foo"],
+          annotations: [
+            {
+              valid: true,
+              absoluteKeywordLocation: "#/properties/foo",
+              instanceLocation: "#/foo",
+              annotations: [
+                {
+                  valid: true,
+                  absoluteKeywordLocation: "#/properties/foo/title",
+                  instanceLocation: "#/foo",
+                  annotation: "Foo"
+                }
+              ]
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("patternProperties", () => {
+    const output = validate({
+      patternProperties: {
+        "^f": true,
+        o$: true
+      }
+    }, { foo: 42, bar: 42 }, VERBOSE);
+    expect(output.annotations?.[0]).toMatchObject({
+      absoluteKeywordLocation: "#/patternProperties",
+      annotation: ["foo"]
+    });
+  });
+
+  test("additionalProperties", () => {
+    const output = validate({
+      properties: { foo: true },
+      additionalProperties: true
+    }, { foo: 42, bar: 42 }, VERBOSE);
+    expect(output.annotations?.[1]).toMatchObject({
+      absoluteKeywordLocation: "#/additionalProperties",
+      annotation: ["bar"]
+    });
+  });
+
+  test("prefixItems applied to some items", () => {
+    const output = validate({
+      prefixItems: [true, true]
+    }, [1, 2, 3], VERBOSE);
+    expect(output.annotations?.[0]).toMatchObject({
+      absoluteKeywordLocation: "#/prefixItems",
+      annotation: 1
+    });
+  });
+
+  test("prefixItems applied to all items", () => {
+    const output = validate({
+      prefixItems: [true, true]
+    }, [1, 2], VERBOSE);
+    expect(output.annotations?.[0]).toMatchObject({
+      absoluteKeywordLocation: "#/prefixItems",
+      annotation: true
+    });
+  });
+
+  test("items", () => {
+    const output = validate({
+      prefixItems: [true],
+      items: true
+    }, [1, 2], VERBOSE);
+    expect(output.annotations?.[1]).toMatchObject({
+      absoluteKeywordLocation: "#/items",
+      annotation: true
+    });
+  });
+
+  test("items not applied to any items", () => {
+    const output = validate({
+      prefixItems: [true],
+      items: true
+    }, [1], VERBOSE);
+    expect(output.annotations?.[1].annotation).toBeUndefined();
+  });
+
+  test("contains", () => {
+    const output = validate({
+      contains: { type: "string" }
+    }, ["a", 1, "b"], VERBOSE);
+    expect(output.annotations?.[0]).toMatchObject({
+      absoluteKeywordLocation: "#/contains",
+      annotation: [0, 2]
+    });
+  });
+
+  test("annotations are dropped from failed branches", () => {
+    const output = validate({
+      anyOf: [
+        { title: "Foo", type: "string" },
+        { title: "Bar" }
+      ]
+    }, 42, VERBOSE);
+    expect(output).toEqual({
+      valid: true,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      annotations: [
+        {
+          valid: true,
+          absoluteKeywordLocation: "#/anyOf",
+          instanceLocation: "#",
+          annotations: [
+            {
+              valid: false,
+              absoluteKeywordLocation: "#/anyOf/0",
+              instanceLocation: "#",
+              errors: [
+                {
+                  valid: true,
+                  absoluteKeywordLocation: "#/anyOf/0/title",
+                  instanceLocation: "#"
+                },
+                {
+                  valid: false,
+                  absoluteKeywordLocation: "#/anyOf/0/type",
+                  instanceLocation: "#"
+                }
+              ]
+            },
+            {
+              valid: true,
+              absoluteKeywordLocation: "#/anyOf/1",
+              instanceLocation: "#",
+              annotations: [
+                {
+                  valid: true,
+                  absoluteKeywordLocation: "#/anyOf/1/title",
+                  instanceLocation: "#",
+                  annotation: "Bar"
+                }
+              ]
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test("annotations are dropped when the root fails", () => {
+    const output = validate({
+      title: "Foo",
+      properties: {
+        foo: { title: "Bar" }
+      },
+      required: ["bar"]
+    }, { foo: 42 }, VERBOSE);
+    expect(output).toEqual({
+      valid: false,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      errors: [
+        {
+          valid: true,
+          absoluteKeywordLocation: "#/title",
+          instanceLocation: "#"
+        },
+        {
+          valid: true,
+          absoluteKeywordLocation: "#/properties",
+          instanceLocation: "#",
+          annotations: [
+            {
+              valid: true,
+              absoluteKeywordLocation: "#/properties/foo",
+              instanceLocation: "#/foo",
+              annotations: [
+                {
+                  valid: true,
+                  absoluteKeywordLocation: "#/properties/foo/title",
+                  instanceLocation: "#/foo"
+                }
+              ]
+            }
+          ]
+        },
+        {
+          valid: false,
+          absoluteKeywordLocation: "#/required",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("$ref", () => {
+    const output = validate({
+      $ref: "#/$defs/foo",
+      $defs: {
+        foo: { title: "Foo" }
+      }
+    }, 42, VERBOSE);
+    expect(output).toEqual({
+      valid: true,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      annotations: [
+        {
+          valid: true,
+          absoluteKeywordLocation: "#/$ref",
+          instanceLocation: "#",
+          annotations: [
+            {
+              valid: true,
+              absoluteKeywordLocation: "#/$defs/foo",
+              instanceLocation: "#",
+              annotations: [
+                {
+                  valid: true,
+                  absoluteKeywordLocation: "#/$defs/foo/title",
+                  instanceLocation: "#",
+                  annotation: "Foo"
+                }
+              ]
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test.each([FLAG, VERBOSE])("if is evaluated once for then and else (%s)", (outputFormat) => {
+    let ifCount = 0;
+    addKeyword("x-count-if", (keywordNode, instanceNode) => {
+      ifCount++;
+      return new Output(true, keywordNode, instanceNode);
+    });
+
+    validate({ then: true, if: { "x-count-if": true }, else: true }, 42, outputFormat);
+    expect(ifCount).to.equal(1);
+  });
+
+  test("then and else use the result of an if with its own $id", () => {
+    const schema = { if: { $id: "https://example.com/verbose/if", const: 1 }, then: { type: "integer" }, else: false };
+    expect(validate(schema, 1).valid).to.equal(true);
+    expect(validate(schema, 2).valid).to.equal(false);
+  });
+
+  test("then and else are in the order they appear", () => {
+    const output = validate({ then: { title: "Then" }, if: true, else: { title: "Else" } }, 42, VERBOSE);
+    expect(output).toEqual({
+      valid: true,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#",
+      annotations: [
+        {
+          valid: true,
+          absoluteKeywordLocation: "#/then",
+          instanceLocation: "#",
+          annotations: [
+            {
+              valid: true,
+              absoluteKeywordLocation: "#/then",
+              instanceLocation: "#",
+              annotations: [
+                {
+                  valid: true,
+                  absoluteKeywordLocation: "#/then/title",
+                  instanceLocation: "#",
+                  annotation: "Then"
+                }
+              ]
+            }
+          ]
+        },
+        {
+          valid: true,
+          absoluteKeywordLocation: "#/if",
+          instanceLocation: "#",
+          annotations: [
+            {
+              valid: true,
+              absoluteKeywordLocation: "#/if",
+              instanceLocation: "#"
+            }
+          ]
+        },
+        {
+          valid: true,
+          absoluteKeywordLocation: "#/else",
+          instanceLocation: "#"
+        }
+      ]
+    });
+  });
+
+  test("Other output formats don't include annotations", () => {
+    const output = validate({ title: "Foo" }, 42);
+    expect(output).toEqual({
+      valid: true,
+      absoluteKeywordLocation: "#",
+      instanceLocation: "#"
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import * as JsonPointer from "@hyperjump/json-pointer";
+import { LineCounter, isAlias, isMap, isScalar, isSeq, parseDocument } from "yaml";
+
+/**
+ * @import { Document, Node as YamlNode } from "yaml"
+ * @import {
+ *   JsonNode,
+ *   JsonPoint,
+ *   JsonPosition,
+ *   JsonPropertyNode
+ * } from "./jsonast.d.ts"
+ */
+
+
+/**
+ * Thrown when YAML text can't be parsed or uses YAML features that can't be
+ * represented as JSON. The `point` is where in the text the problem was found.
+ */
+export class YamlSyntaxError extends SyntaxError {
+  point;
+
+  /**
+   * @param {string} message
+   * @param {JsonPoint} point
+   */
+  constructor(message, point) {
+    super(`${message} at line ${point.line}, column ${point.column}`);
+    this.name = "YamlSyntaxError";
+    this.point = point;
+  }
+}
+
+/**
+ * @typedef {{
+ *   document: Document.Parsed;
+ *   lineCounter: LineCounter;
+ *   uri: string;
+ *   ancestors: Set<YamlNode>;
+ *   aliasedNodeCount: number;
+ *   aliasPoint?: JsonPoint;
+ * }} ConverterState
+ */
+
+// Aliases of aliases can make a small document expand into a huge tree, so the
+// number of nodes that come from expanding aliases is limited
+const maxAliasedNodeCount = 10_000;
+
+// Explicit tags that don't change what the value means in JSON
+const jsonTags = new Set([
+  "tag:yaml.org,2002:map",
+  "tag:yaml.org,2002:seq",
+  "tag:yaml.org,2002:str",
+  "tag:yaml.org,2002:int",
+  "tag:yaml.org,2002:float",
+  "tag:yaml.org,2002:bool",
+  "tag:yaml.org,2002:null"
+]);
+
+/**
+ * Parse a YAML document into a JsonNode tree with the `position` of every node
+ * in the text. The document is parsed with the YAML 1.2 core schema. YAML that
+ * can't be represented as JSON is an error. That includes keys that aren't
+ * strings, aliases that refer to a node that contains them, custom tags, and
+ * numbers such as `.inf` and `.nan`. An alias is converted to a copy of the
+ * node it refers to. Aliases can't expand to more than 10,000 nodes in total.
+ *
+ * @type (text: string, uri?: string) => JsonNode
+ */
+export const parseYaml = (text, uri = "") => {
+  const lineCounter = new LineCounter();
+  const document = parseDocument(text, { lineCounter, prettyErrors: false });
+
+  if (document.errors.length > 0) {
+    const [error] = document.errors;
+    throw new YamlSyntaxError(error.message, point(lineCounter, error.pos[0]));
+  }
+
+  /** @type ConverterState */
+  const state = { document, lineCounter, uri, ancestors: new Set(), aliasedNodeCount: 0 };
+
+  if (document.contents === null) {
+    const [start, end] = document.range;
+    return { type: "json", jsonType: "null", value: null, location: `${uri}#`, position: position(state, start, end) };
+  }
+
+  return toJsonNode(state, document.contents, "");
+};
+
+/** @type (state: ConverterState, yamlNode: YamlNode, pointer: string) => JsonNode */
+const toJsonNode = (state, yamlNode, pointer) => {
+  const location = `${state.uri}#${pointer}`;
+  const nodePosition = position(state, yamlNode.range?.[0] ?? 0, yamlNode.range?.[1] ?? 0);
+
+  if (isAlias(yamlNode)) {
+    const aliasedNode = yamlNode.resolve(state.document);
+    if (aliasedNode === undefined) {
+      throw new YamlSyntaxError(`Unresolved alias '${yamlNode.source}'`, nodePosition.start);
+    } else if (state.ancestors.has(aliasedNode)) {
+      throw new YamlSyntaxError(`Alias '${yamlNode.source}' refers to a node that contains it`, nodePosition.start);
+    }
+
+    const isOutermostAlias = state.aliasPoint === undefined;
+    state.aliasPoint ??= nodePosition.start;
+    try {
+      // The alias is where the value is, but what's inside is where the anchor is
+      return { ...toJsonNode(state, aliasedNode, pointer), position: nodePosition };
+    } finally {
+      if (isOutermostAlias) {
+        state.aliasPoint = undefined;
+      }
+    }
+  }
+
+  if (state.aliasPoint !== undefined && ++state.aliasedNodeCount > maxAliasedNodeCount) {
+    throw new YamlSyntaxError(`Aliases expand to more than ${maxAliasedNodeCount} nodes`, state.aliasPoint);
+  }
+
+  if (yamlNode.tag !== undefined && !jsonTags.has(yamlNode.tag)) {
+    throw new YamlSyntaxError(`Unsupported tag '${yamlNode.tag}'`, nodePosition.start);
+  }
+
+  state.ancestors.add(yamlNode);
+  try {
+    if (isMap(yamlNode)) {
+      /** @type JsonPropertyNode[] */
+      const children = [];
+      for (const pair of yamlNode.items) {
+        const keyNode = isAlias(pair.key) ? pair.key.resolve(state.document) : pair.key;
+        const keyRange = /** @type YamlNode */ (pair.key).range ?? [0, 0];
+        const propertyNamePosition = position(state, keyRange[0], keyRange[1]);
+        if (!isScalar(keyNode) || typeof keyNode.value !== "string") {
+          throw new YamlSyntaxError("Property names must be strings", propertyNamePosition.start);
+        }
+
+        const propertyValueNode = pair.value === null
+          ? nullNode(state, JsonPointer.append(keyNode.value, pointer), keyRange[1])
+          : toJsonNode(state, /** @type YamlNode */ (pair.value), JsonPointer.append(keyNode.value, pointer));
+
+        children.push({
+          type: "json-property",
+          children: [
+            { type: "json-property-name", value: keyNode.value, position: propertyNamePosition },
+            propertyValueNode
+          ],
+          position: { start: propertyNamePosition.start, end: propertyValueNode.position?.end ?? propertyNamePosition.end }
+        });
+      }
+
+      return { type: "json", jsonType: "object", children, location, position: nodePosition };
+    } else if (isSeq(yamlNode)) {
+      const children = yamlNode.items.map((itemNode, index) => {
+        const itemPointer = JsonPointer.append(`${index}`, pointer);
+        return itemNode === null
+          ? nullNode(state, itemPointer, nodePosition.start.offset)
+          : toJsonNode(state, /** @type YamlNode */ (itemNode), itemPointer);
+      });
+
+      return { type: "json", jsonType: "array", children, location, position: nodePosition };
+    } else if (isScalar(yamlNode)) {
+      const value = yamlNode.value;
+      switch (typeof value) {
+        case "string":
+          return { type: "json", jsonType: "string", value, location, position: nodePosition };
+        case "boolean":
+          return { type: "json", jsonType: "boolean", value, location, position: nodePosition };
+        case "number":
+          if (!Number.isFinite(value)) {
+            throw new YamlSyntaxError(`'${String(value)}' isn't a JSON number`, nodePosition.start);
+          }
+          return { type: "json", jsonType: "number", value, location, position: nodePosition };
+        default:
+          if (value === null) {
+            return { type: "json", jsonType: "null", value, location, position: nodePosition };
+          }
+          throw new YamlSyntaxError("Unsupported scalar value", nodePosition.start);
+      }
+    } else {
+      throw new YamlSyntaxError("Unsupported YAML node", nodePosition.start);
+    }
+  } finally {
+    state.ancestors.delete(yamlNode);
+  }
+};
+
+/** @type (state: ConverterState, pointer: string, offset: number) => JsonNode */
+const nullNode = (state, pointer, offset) => {
+  return { type: "json", jsonType: "null", value: null, location: `${state.uri}#${pointer}`, position: position(state, offset, offset) };
+};
+
+/** @type (state: ConverterState, start: number, end: number) => JsonPosition */
+const position = (state, start, end) => {
+  return { start: point(state.lineCounter, start), end: point(state.lineCounter, end) };
+};
+
+/** @type (lineCounter: LineCounter, offset: number) => JsonPoint */
+const point = (lineCounter, offset) => {
+  const { line, col } = lineCounter.linePos(offset);
+  return { line, column: col, offset };
+};
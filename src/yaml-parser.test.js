@@ -0,0 +1,123 @@
+import { describe, test, expect } from "vitest";
+import { parseYaml, YamlSyntaxError, jsonValue, registerSchema, validate, BASIC } from "./index.js";
+
+/**
+ * @import { JsonPoint } from "./jsonast.d.ts"
+ */
+
+
+/** @type (text: string) => YamlSyntaxError */
+const syntaxError = (text) => {
+  try {
+    parseYaml(text);
+  } catch (error) {
+    if (error instanceof YamlSyntaxError) {
+      return error;
+    }
+    throw error;
+  }
+
+  throw Error("Expected a YamlSyntaxError");
+};
+
+/** @type (line: number, column: number, offset: number) => JsonPoint */
+const point = (line, column, offset) => ({ line, column, offset });
+
+describe("YAML parser", () => {
+  test.each([
+    ["", null],
+    ["~", null],
+    ["true", true],
+    ["0x1F", 31],
+    ["-1.5e3", -1500],
+    ["foo", "foo"],
+    ["\"1\"", "1"],
+    ["!!str 1", "1"],
+    ["- 1\n- [2, {}]\n-\n", [1, [2, {}], null]],
+    ["a:\n  b: [null, true]\n\"c/d~e\": 1\n", { a: { b: [null, true] }, "c/d~e": 1 }],
+    ["a: &foo { b: 1 }\nc: *foo\n", { a: { b: 1 }, c: { b: 1 } }]
+  ])("parses %j", (text, expected) => {
+    expect(jsonValue(parseYaml(text))).to.eql(expected);
+  });
+
+  test("locations", () => {
+    const node = parseYaml("a:\n  - 1\n  - b/c: 2\n", "https://example.com/foo");
+    expect(node.location).to.equal("https://example.com/foo#");
+    expect(node.jsonType === "object" && node.children[0].children[1].location)
+      .to.equal("https://example.com/foo#/a");
+  });
+
+  test("positions", () => {
+    const node = parseYaml("foo:\n  - true\n  - &x bar\nbaz: *x\n");
+    if (node.jsonType !== "object") {
+      throw Error("Expected an object");
+    }
+
+    const [fooNode, bazNode] = node.children;
+    expect(fooNode.children[0].position).to.eql({ start: point(1, 1, 0), end: point(1, 4, 3) });
+
+    const itemsNode = fooNode.children[1];
+    if (itemsNode.jsonType !== "array") {
+      throw Error("Expected an array");
+    }
+    expect(itemsNode.children[0].position).to.eql({ start: point(2, 5, 9), end: point(2, 9, 13) });
+    expect(itemsNode.children[1].position).to.eql({ start: point(3, 8, 21), end: point(3, 11, 24) });
+
+    // An alias is positioned where the alias is
+    expect(bazNode.children[1].position).to.eql({ start: point(4, 6, 30), end: point(4, 8, 32) });
+  });
+
+  test.each([
+    ["a: 1\na: 2", "Map keys must be unique at line 2, column 1"],
+    ["1: a", "Property names must be strings at line 1, column 1"],
+    ["? [a]\n: b", "Property names must be strings at line 1, column 3"],
+    ["&a [*a]", "Alias 'a' refers to a node that contains it at line 1, column 5"],
+    ["a: &a\n  b: *a\n", "Alias 'a' refers to a node that contains it at line 2, column 6"],
+    ["a: !color red", "Unsupported tag '!color' at line 1, column 11"],
+    ["a: .inf", "'Infinity' isn't a JSON number at line 1, column 4"],
+    [[
+      "a: &a [1, 1, 1, 1, 1, 1, 1, 1, 1, 1]",
+      "b: &b [*a, *a, *a, *a, *a, *a, *a, *a, *a, *a]",
+      "c: &c [*b, *b, *b, *b, *b, *b, *b, *b, *b, *b]",
+      "d: &d [*c, *c, *c, *c, *c, *c, *c, *c, *c, *c]",
+      "e: [*d, *d, *d, *d, *d, *d, *d, *d, *d, *d]"
+    ].join("\n"), "Aliases expand to more than 10000 nodes at line 4, column 36"]
+  ])("syntax error: %j", (text, message) => {
+    expect(syntaxError(text).message).to.equal(message);
+  });
+
+  test("validating YAML maps errors to positions", () => {
+    registerSchema(parseYaml(`
+type: object
+properties:
+  name: { type: string }
+`), "https://example.com/yaml-person");
+    const instance = parseYaml(`
+name: 42
+`);
+
+    const output = validate({ $ref: "https://example.com/yaml-person" }, instance, BASIC);
+    expect(output.valid).to.equal(false);
+    expect(output.errors).toContainEqual({
+      valid: false,
+      absoluteKeywordLocation: "https://example.com/yaml-person#/properties/name/type",
+      absoluteKeywordPosition: { start: point(4, 17, 42), end: point(4, 23, 48) },
+      instanceLocation: "#/name",
+      instancePosition: { start: point(2, 7, 7), end: point(2, 9, 9) }
+    });
+  });
+
+  test("propertyNames errors map to the position of the property name", () => {
+    const instance = parseYaml(`
+abc: 1
+`);
+
+    const output = validate({ propertyNames: { maxLength: 2 } }, instance, BASIC);
+    expect(output.errors).toContainEqual({
+      valid: false,
+      absoluteKeywordLocation: "#/propertyNames/maxLength",
+      instanceLocation: "#/abc",
+      instancePosition: { start: point(2, 1, 1), end: point(2, 4, 4) }
+    });
+  });
+});